@@ -0,0 +1,109 @@
+// Infers the `applyTo` glob of an instruction, which scopes a Copilot
+// `.github/instructions/*.instructions.md` file to the paths it is relevant for.
+
+// Used when nothing more specific is known: the instruction applies everywhere
+const DEFAULT_APPLY_TO = '**';
+
+// Globs for each language, keyed by the lowercase name used in tags and frontmatter
+const languageGlobs = {
+  python: '**/*.py',
+  typescript: '**/*.ts,**/*.tsx',
+  javascript: '**/*.js,**/*.jsx,**/*.mjs,**/*.cjs',
+  go: '**/*.go',
+  rust: '**/*.rs',
+  java: '**/*.java',
+  kotlin: '**/*.kt,**/*.kts',
+  'c#': '**/*.cs',
+  'c++': '**/*.cpp,**/*.cc,**/*.h,**/*.hpp',
+  ruby: '**/*.rb',
+  php: '**/*.php',
+  elixir: '**/*.ex,**/*.exs,**/*.heex',
+  dart: '**/*.dart',
+  swift: '**/*.swift'
+};
+
+// Matched against the words of the file name and its folders. The first rule whose
+// words are all present wins, so combinations come before the single words they contain.
+const pathRules = [
+  { words: ['javascript', 'typescript'], applyTo: `${languageGlobs.javascript},${languageGlobs.typescript}` },
+  { words: ['react', 'native'], applyTo: '**/*.tsx,**/*.ts' },
+  { words: ['react', 'typescript'], applyTo: '**/*.tsx' },
+  { words: ['react', 'javascript'], applyTo: '**/*.jsx,**/*.js' },
+  { words: ['chrome', 'extension', 'typescript'], applyTo: '**/*.ts,**/*.html,manifest.json' },
+  { words: ['chrome', 'extension'], applyTo: '**/*.js,**/*.html,manifest.json' },
+  { words: ['htmx', 'django'], applyTo: '**/*.py,**/*.html' },
+  { words: ['htmx', 'flask'], applyTo: '**/*.py,**/*.html' },
+  { words: ['htmx', 'go'], applyTo: '**/*.go,**/*.html' },
+  { words: ['html', 'css'], applyTo: '**/*.html,**/*.css' },
+  { words: ['e2e'], applyTo: '**/e2e/**,**/*.e2e.*,**/*.spec.*' },
+  { words: ['testing'], applyTo: '**/*.test.*,**/*.spec.*,**/test/**,**/tests/**' },
+  { words: ['react'], applyTo: '**/*.jsx,**/*.tsx' },
+  { words: ['nextjs'], applyTo: '**/*.tsx,**/*.ts' },
+  { words: ['solidjs'], applyTo: '**/*.tsx,**/*.ts' },
+  { words: ['angular'], applyTo: '**/*.ts,**/*.html' },
+  { words: ['vue'], applyTo: '**/*.vue,**/*.ts,**/*.js' },
+  { words: ['vuejs'], applyTo: '**/*.vue,**/*.ts,**/*.js' },
+  { words: ['nuxt'], applyTo: '**/*.vue,**/*.ts,**/*.js' },
+  { words: ['sveltekit'], applyTo: '**/*.svelte,**/*.ts,**/*.js' },
+  { words: ['astro'], applyTo: '**/*.astro,**/*.ts' },
+  { words: ['htmx'], applyTo: '**/*.html' },
+  { words: ['convex'], applyTo: 'convex/**/*.ts' },
+  { words: ['deno'], applyTo: '**/*.ts' },
+  { words: ['nestjs'], applyTo: '**/*.ts' },
+  { words: ['fastapi'], applyTo: languageGlobs.python },
+  { words: ['django'], applyTo: languageGlobs.python },
+  { words: ['flask'], applyTo: languageGlobs.python },
+  { words: ['pytorch'], applyTo: languageGlobs.python },
+  { words: ['laravel'], applyTo: '**/*.php' },
+  { words: ['wordpress'], applyTo: '**/*.php' },
+  { words: ['phoenix'], applyTo: languageGlobs.elixir },
+  { words: ['spring'], applyTo: languageGlobs.java },
+  { words: ['unity'], applyTo: languageGlobs['c#'] },
+  { words: ['flutter'], applyTo: languageGlobs.dart },
+  { words: ['android'], applyTo: languageGlobs.kotlin },
+  { words: ['dragonruby'], applyTo: languageGlobs.ruby },
+  { words: ['kubernetes'], applyTo: '**/*.yaml,**/*.yml' },
+  { words: ['markdown'], applyTo: '**/*.md' },
+  { words: ['typescript'], applyTo: languageGlobs.typescript },
+  { words: ['javascript'], applyTo: languageGlobs.javascript },
+  { words: ['nodejs'], applyTo: languageGlobs.javascript },
+  { words: ['python'], applyTo: languageGlobs.python },
+  { words: ['go'], applyTo: languageGlobs.go },
+  { words: ['rust'], applyTo: languageGlobs.rust },
+  { words: ['elixir'], applyTo: languageGlobs.elixir }
+];
+
+// "nextjs14-tailwind" -> nextjs, tailwind; version suffixes such as vue3 or php83 are dropped
+function pathWords(parts) {
+  return new Set(
+    parts
+      .flatMap(part => part.replace(/\.md$/, '').toLowerCase().split(/[^a-z0-9]+/))
+      .map(word => word.replace(/\d+$/, ''))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Pick the applyTo glob for an instruction: its path words first, then the
+ * frontmatter language, then its tags when they name exactly one language.
+ * `pathParts` are the category folders and file name under instructions/.
+ */
+function inferApplyTo({ pathParts, language, tags = [] }) {
+  const words = pathWords(pathParts);
+  const rule = pathRules.find(({ words: ruleWords }) => ruleWords.every(word => words.has(word)));
+  if (rule) return rule.applyTo;
+
+  const languageKey = (language || '').toLowerCase();
+  if (languageGlobs[languageKey]) return languageGlobs[languageKey];
+
+  // Tags picked up from the content often mention several languages in passing
+  const tagLanguages = [...new Set(tags.map(tag => tag.toLowerCase()).filter(tag => languageGlobs[tag]))];
+  if (tagLanguages.length === 1) return languageGlobs[tagLanguages[0]];
+
+  return DEFAULT_APPLY_TO;
+}
+
+module.exports = {
+  DEFAULT_APPLY_TO,
+  inferApplyTo
+};
@@ -0,0 +1,137 @@
+// Runs resolveReferences against a local HTTP stand-in, to check fetching, the
+// cache and the fallbacks without the network. Exits with 1 when a check fails.
+const assert = require('assert');
+const http = require('http');
+const { resolveReferences } = require('./resolve_references');
+
+const PAGES = {
+  '/docs': [
+    200,
+    `<html><head>
+      <title>Ignored | Stand-in Docs</title>
+      <meta property="og:title" content="Stand-in &amp; Docs" />
+      <meta name="description" content="Pages served by the check" />
+      <meta property="og:site_name" content="Stand-in" />
+      <link rel="shortcut icon" href="/static/icon.png" />
+    </head><body></body></html>`
+  ],
+  '/bare': [200, '<html><body>No metadata here</body></html>'],
+  '/broken': [500, 'Internal error']
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function startServer() {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push(request.url);
+    const [status, body] = PAGES[request.url] || [404, 'Not found'];
+    response.writeHead(status, { 'Content-Type': 'text/html' });
+    response.end(body);
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+const checks = {
+  async 'fetches a page and caches its metadata'({ origin }) {
+    const now = Date.now();
+    const { resolved, cache } = await resolveReferences([`${origin}/docs`], { now });
+    assert.deepStrictEqual(resolved, [{
+      url: `${origin}/docs`,
+      title: 'Stand-in & Docs',
+      description: 'Pages served by the check',
+      source: 'Stand-in',
+      favicon: `${origin}/static/icon.png`
+    }]);
+    assert.strictEqual(cache[`${origin}/docs`].fetchedAt, new Date(now).toISOString());
+  },
+
+  async 'uses a fresh cache entry without fetching'({ origin, requests }) {
+    const url = `${origin}/docs`;
+    const cache = { [url]: { title: 'Cached', description: 'From the cache', source: 'Cache', favicon: `${origin}/c.ico`, fetchedAt: new Date(Date.now() - DAY).toISOString() } };
+    const { resolved } = await resolveReferences([url], { cache });
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(resolved[0].title, 'Cached');
+    assert.strictEqual(resolved[0].description, 'From the cache');
+  },
+
+  async 'refetches a stale cache entry'({ origin, requests }) {
+    const url = `${origin}/docs`;
+    const cache = { [url]: { title: 'Old', fetchedAt: new Date(Date.now() - 30 * DAY).toISOString() } };
+    const { resolved } = await resolveReferences([url], { cache });
+    assert.deepStrictEqual(requests, ['/docs']);
+    assert.strictEqual(resolved[0].title, 'Stand-in & Docs');
+  },
+
+  async 'falls back to the cache, then the hand-written fields, when offline'({ origin, requests }) {
+    const cachedUrl = `${origin}/docs`;
+    const cache = { [cachedUrl]: { title: 'Cached', fetchedAt: new Date(Date.now() - 30 * DAY).toISOString() } };
+    const { resolved } = await resolveReferences(
+      [cachedUrl, { url: `${origin}/new`, title: 'Written', description: 'By hand', source: 'Hand' }],
+      { cache, offline: true }
+    );
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(resolved[0].title, 'Cached');
+    assert.deepStrictEqual(resolved[1], {
+      url: `${origin}/new`,
+      title: 'Written',
+      description: 'By hand',
+      source: 'Hand',
+      favicon: `${origin}/favicon.ico`
+    });
+  },
+
+  async 'keeps the cached fields when a fetch fails'({ origin }) {
+    const url = `${origin}/broken`;
+    const cache = { [url]: { title: 'Cached', fetchedAt: new Date(Date.now() - 30 * DAY).toISOString() } };
+    const { resolved, cache: nextCache } = await resolveReferences([url], { cache });
+    assert.strictEqual(resolved[0].title, 'Cached');
+    assert.strictEqual(nextCache[url], cache[url]);
+  },
+
+  async 'fills in a page without metadata from the reference'({ origin }) {
+    const url = `${origin}/bare`;
+    const { resolved } = await resolveReferences([{ url, description: 'By hand' }]);
+    assert.deepStrictEqual(resolved, [{
+      url,
+      title: url,
+      description: 'By hand',
+      source: '127.0.0',
+      favicon: `${origin}/favicon.ico`
+    }]);
+  }
+};
+
+async function main() {
+  const { server, requests, origin } = await startServer();
+  // Failed fetches are reported with console.warn, which is expected here
+  const warn = console.warn;
+  console.warn = () => {};
+  let failed = 0;
+  try {
+    for (const [name, check] of Object.entries(checks)) {
+      requests.length = 0;
+      try {
+        await check({ origin, requests });
+        console.log(`ok      ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`failed  ${name}\n${error.message}`);
+      }
+    }
+  } finally {
+    console.warn = warn;
+    server.close();
+  }
+  if (failed > 0) {
+    console.error(`${failed} of ${Object.keys(checks).length} checks failed`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.stack);
+  process.exitCode = 1;
+});
@@ -1,16 +1,36 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const matter = require('gray-matter');
+const { validateInstruction, formatDiagnostic } = require('./validate_instructions');
+const { computeSimilarities, similarByInstruction, renderDuplicateReport } = require('./similarity');
+const { isGitAvailable, isShallowClone, fileHistory } = require('./git_history');
+const { inferApplyTo } = require('./apply_to');
 
 const instructionsDir = path.join(__dirname, '../instructions');
 const outputFilePath = path.join(__dirname, '../website/src/data/instructions.json');
+const duplicateReportPath = path.join(__dirname, '../reports/duplicate-instructions.md');
+const searchIndexPath = path.join(__dirname, '../website/src/data/search-index.json');
+const searchModule = path.join(__dirname, '../website/src/utils/search.js');
+const taxonomyPath = path.join(__dirname, '../website/src/data/taxonomy.json');
+const taxonomyModule = path.join(__dirname, '../website/src/utils/taxonomy.js');
 
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-function generateInstructionData() {
+async function generateInstructionData() {
   const allInstructions = [];
+  const diagnostics = [];
+
+  // Tags are detected and named with the same taxonomy the website groups them by
+  const { createTaxonomy } = await import(pathToFileURL(taxonomyModule).href);
+  const taxonomy = createTaxonomy(JSON.parse(fs.readFileSync(taxonomyPath, 'utf8')));
+
+  // Dates and authors come from git; outside a checkout fall back to file mtimes
+  const useGit = isGitAvailable();
+  if (!useGit) {
+    console.warn('git is not available, using file modification times for instruction dates');
+  } else if (isShallowClone()) {
+    console.warn('Shallow clone detected, instruction dates and history will be incomplete (fetch with depth 0)');
+  }
 
   function walkSync(dir) {
     const files = fs.readdirSync(dir);
@@ -20,72 +40,77 @@ function generateInstructionData() {
       if (stat.isDirectory()) {
         walkSync(filePath);
       } else if (path.extname(file) === '.md') {
-        const content = fs.readFileSync(filePath, 'utf8').trim();
-        const { data, content: markdownContent } = matter(content);
+        const rawContent = fs.readFileSync(filePath, 'utf8');
         const relativePath = path.relative(instructionsDir, filePath);
+        const fileDiagnostics = validateInstruction(path.join('instructions', relativePath), rawContent);
+        diagnostics.push(...fileDiagnostics);
+        if (fileDiagnostics.some(item => item.severity === 'error')) {
+          return;
+        }
+
+        const content = rawContent.trim();
+        const { data, content: markdownContent } = matter(content);
         const pathParts = relativePath.split(path.sep);
 
         // Extract category and subcategories
         const category = pathParts[0];
         const subcategories = pathParts.slice(1, -1);
 
-        // Generate initial tags from category, subcategories and frontmatter tags
+        // Tags come from the category folders, the frontmatter and the taxonomy's
+        // detection rules; aliases are resolved and parent tags added
         const tags = new Set([
           category,
           ...subcategories,
-          ...(data.tags || [])
+          ...taxonomy.withAncestors([
+            ...(data.tags || []),
+            ...taxonomy.detectTags({ content: markdownContent, pathParts })
+          ])
         ]);
 
-        // Extract additional tags from the markdown content based on language, architecture, library, etc.
-        const additionalTags = new Set();
-        const languageKeywords = ["JavaScript", "TypeScript", "Python", "Java", "C++", "C#", "Ruby", "Go", "Rust"];
-        const archKeywords = ["x86", "x64", "ARM", "MIPS"];
-        const libraryKeywords = ["React", "Angular", "Vue", "Laravel", "Django", "Spring", "Node", "Express"];
-        
-        languageKeywords.forEach(keyword => {
-          const regex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "i");
-          if (regex.test(markdownContent)) {
-            additionalTags.add(keyword);
-          }
-        });
-        
-        archKeywords.forEach(keyword => {
-          const regex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "i");
-          if (regex.test(markdownContent)) {
-            additionalTags.add(keyword);
-          }
-        });
-        
-        libraryKeywords.forEach(keyword => {
-          const regex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, "i");
-          if (regex.test(markdownContent)) {
-            additionalTags.add(keyword);
-          }
-        });
-        
-        // Merge additional tags
-        additionalTags.forEach(tag => tags.add(tag));
-
         const title = data.title || file.replace('.md', '');
         const description = data.description || markdownContent.split('\n')[0];
+        const { created, lastUpdated, authors, history } = fileHistory(filePath, useGit);
 
         allInstructions.push({
-          id: relativePath.replace(/\//g, '-').replace(/\.md$/, ''),
+          // Canonical identity used by favorites, usage stats and share links.
+          // Filenames are not unique across categories, so never key on them.
+          id: data.slug || relativePath.split(path.sep).join('-').replace(/\.md$/, ''),
           title,
           description,
           category,
           subcategories,
           content: markdownContent,
           filename: file,
+          // Lets the website tell users that an instruction changed since they last used it
+          contentHash: crypto.createHash('sha256').update(markdownContent).digest('hex').slice(0, 16),
           tags: Array.from(tags),
+          // Fill-in placeholders for the body, in the order they are declared
+          variables: Object.entries(data.variables || {}).map(([name, variable]) => {
+            const type = variable.type || 'string';
+            const choices = type === 'choice' ? variable.choices : [];
+            const fallback = type === 'choice' ? choices[0] : '';
+            return {
+              name,
+              label: variable.label || name,
+              description: variable.description || null,
+              type,
+              choices,
+              default: variable.default === undefined ? fallback : String(variable.default)
+            };
+          }),
+          history,
           metadata: {
             language: data.language || 'General',
             framework: data.framework || null,
+            // Paths a scoped .github/instructions/*.instructions.md file applies to
+            applyTo: data.applyTo || inferApplyTo({ pathParts, language: data.language, tags: Array.from(tags) }),
             compatibility: data.compatibility || ['VS Code', 'Visual Studio', 'JetBrains', 'Neovim'],
             difficulty: data.difficulty || 'Intermediate',
             topics: data.topics || [],
-            lastUpdated: stat.mtime,
-            contributor: data.contributor || 'Community'
+            created,
+            lastUpdated,
+            contributor: data.contributor || authors[0] || 'Community',
+            contributors: authors
           }
         });
       }
@@ -94,11 +119,54 @@ function generateInstructionData() {
 
   walkSync(instructionsDir);
 
+  const errors = diagnostics.filter(item => item.severity === 'error');
+  const warningCount = diagnostics.length - errors.length;
+  if (errors.length > 0) {
+    errors.forEach(item => console.error(formatDiagnostic(item)));
+    throw new Error(`Instruction validation failed with ${errors.length} error(s)`);
+  }
+  if (warningCount > 0) {
+    console.warn(`${warningCount} instruction warning(s), run "npm run validate" for details`);
+  }
+
+  const seenIds = new Map();
+  allInstructions.forEach(instruction => {
+    const file = path.join(instruction.category, ...instruction.subcategories, instruction.filename);
+    if (seenIds.has(instruction.id)) {
+      throw new Error(`Duplicate instruction id "${instruction.id}" in ${seenIds.get(instruction.id)} and ${file}`);
+    }
+    seenIds.set(instruction.id, file);
+  });
+
+  // Attach the closest variants of each instruction and report likely duplicates
+  const similarityPairs = await computeSimilarities(allInstructions);
+  const similar = similarByInstruction(similarityPairs);
+  allInstructions.forEach(instruction => {
+    instruction.similar = similar.get(instruction.id) || [];
+  });
+
   // Sort instructions by last updated date
   allInstructions.sort((a, b) => new Date(b.metadata.lastUpdated) - new Date(a.metadata.lastUpdated));
 
   fs.writeFileSync(outputFilePath, JSON.stringify(allInstructions, null, 2));
+
+  // The index is built with the same module the website searches with
+  const { buildSearchIndex } = await import(pathToFileURL(searchModule).href);
+  const searchIndex = buildSearchIndex(allInstructions);
+  const brokenTerm = Object.keys(searchIndex.terms).find(term =>
+    searchIndex.terms[term].some(([, , count]) => !Number.isFinite(count))
+  );
+  if (brokenTerm) {
+    throw new Error(`Search index has a posting for "${brokenTerm}" whose count is not a number`);
+  }
+  fs.writeFileSync(searchIndexPath, JSON.stringify(searchIndex));
+
+  fs.mkdirSync(path.dirname(duplicateReportPath), { recursive: true });
+  fs.writeFileSync(duplicateReportPath, renderDuplicateReport(similarityPairs, allInstructions));
   console.log('GitHub Copilot instruction data generated successfully!');
 }
 
-generateInstructionData();
\ No newline at end of file
+generateInstructionData().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.join(__dirname, '..');
+
+// Number of commits kept in each instruction's change history
+const MAX_HISTORY = 10;
+
+const FIELD_SEPARATOR = '\x1f';
+
+function git(args) {
+  return execFileSync('git', args, { cwd: repoRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+// Returns false when git is missing or the scripts are run outside a checkout
+function isGitAvailable() {
+  try {
+    return git(['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+// A shallow clone only knows the latest commit, so every file would look brand new
+function isShallowClone() {
+  try {
+    return git(['rev-parse', '--is-shallow-repository']).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the commits touching a file, newest first, following renames.
+ * Returns [] for untracked files or when git is unavailable.
+ */
+function readCommits(filePath) {
+  let output;
+  try {
+    output = git([
+      'log',
+      '--follow',
+      `--format=%h${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`,
+      '--',
+      path.relative(repoRoot, filePath)
+    ]);
+  } catch (error) {
+    return [];
+  }
+
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [hash, author, date, subject] = line.split(FIELD_SEPARATOR);
+      return { hash, author, date, subject };
+    });
+}
+
+/**
+ * Created and updated dates, authors (most commits first) and a short change
+ * history for one file. Falls back to the file's mtime when git has no record of it.
+ */
+function fileHistory(filePath, useGit = true) {
+  const commits = useGit ? readCommits(filePath) : [];
+
+  if (commits.length === 0) {
+    const { mtime } = fs.statSync(filePath);
+    return { created: mtime.toISOString(), lastUpdated: mtime.toISOString(), authors: [], history: [] };
+  }
+
+  const commitCounts = new Map();
+  commits.forEach(commit => commitCounts.set(commit.author, (commitCounts.get(commit.author) || 0) + 1));
+
+  return {
+    created: commits[commits.length - 1].date,
+    lastUpdated: commits[0].date,
+    authors: Array.from(commitCounts.keys()).sort((a, b) => commitCounts.get(b) - commitCounts.get(a)),
+    history: commits.slice(0, MAX_HISTORY)
+  };
+}
+
+module.exports = {
+  MAX_HISTORY,
+  isGitAvailable,
+  isShallowClone,
+  fileHistory
+};
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const defaultDataPath = path.join(__dirname, '../website/src/data/instructions.json');
+const targetRelativePath = path.join('.github', 'copilot-instructions.md');
+const exportFormatsModule = path.join(__dirname, '../website/src/utils/exportFormats.js');
+const templateVariablesModule = path.join(__dirname, '../website/src/utils/templateVariables.js');
+
+const MARKER_PREFIX = 'awesome-copilot-instruction';
+
+const usage = `Usage: node instructions_cli.js <command> [options]
+
+Commands:
+  list [--category <name>]          List available instructions
+  search <query...>                 Search instructions by id, title, tags and content
+  show <id>                         Print the content of an instruction
+  install <id...> [--target <dir>]  Write or merge instructions into <dir>/${targetRelativePath}
+  export <id...> --format <name>    Write instructions in another assistant's rule format
+  formats                           List export formats
+
+Options:
+  --data <file>    Instruction data file (default: website/src/data/instructions.json)
+  --target <dir>   Repository to install into (default: current directory)
+  --format <name>  Export format, see "formats"
+  --force          Let export overwrite existing files
+  --dry-run        Print the resulting file instead of writing it
+  --help           Show this message`;
+
+class CliError extends Error {}
+
+function parseArgs(argv) {
+  const options = {
+    category: null,
+    data: defaultDataPath,
+    target: process.cwd(),
+    format: null,
+    force: false,
+    dryRun: false,
+    help: false
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new CliError(`Missing value for ${arg}`);
+      }
+      return value;
+    };
+
+    if (arg === '--category') {
+      options.category = takeValue();
+    } else if (arg === '--data') {
+      options.data = path.resolve(takeValue());
+    } else if (arg === '--target') {
+      options.target = path.resolve(takeValue());
+    } else if (arg === '--format') {
+      options.format = takeValue();
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new CliError(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+function loadInstructions(dataPath) {
+  if (!fs.existsSync(dataPath)) {
+    throw new CliError(`Instruction data not found at ${dataPath}. Run "node generate_instruction_data.js" first.`);
+  }
+  return JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+}
+
+// Resolve an id, falling back to the bare filename when it is unambiguous
+function findInstruction(instructions, key) {
+  const byId = instructions.find(instruction => instruction.id === key);
+  if (byId) return byId;
+
+  const name = key.replace(/\.md$/, '');
+  const matches = instructions.filter(instruction => instruction.filename.replace(/\.md$/, '') === name);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new CliError(`"${key}" is ambiguous, use one of: ${matches.map(m => m.id).join(', ')}`);
+  }
+  throw new CliError(`No instruction found for "${key}". Use "list" or "search" to find ids.`);
+}
+
+function formatRow(instruction) {
+  return `${instruction.id.padEnd(60)} ${instruction.title}`;
+}
+
+function listInstructions(instructions, { category }) {
+  const filtered = category
+    ? instructions.filter(instruction => instruction.category === category)
+    : instructions;
+
+  if (filtered.length === 0) {
+    const categories = [...new Set(instructions.map(instruction => instruction.category))].sort();
+    throw new CliError(`No instructions in category "${category}". Categories: ${categories.join(', ')}`);
+  }
+
+  [...filtered]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach(instruction => console.log(formatRow(instruction)));
+}
+
+function searchInstructions(instructions, terms) {
+  if (terms.length === 0) {
+    throw new CliError('search needs a query');
+  }
+  const words = terms.join(' ').toLowerCase().split(/\s+/).filter(Boolean);
+
+  const scored = instructions
+    .map(instruction => {
+      const fields = [
+        [instruction.id, 3],
+        [instruction.title, 3],
+        [(instruction.tags || []).join(' '), 2],
+        [instruction.content, 1]
+      ];
+      let score = 0;
+      for (const word of words) {
+        const fieldScore = fields.reduce(
+          (sum, [text, weight]) => sum + ((text || '').toLowerCase().includes(word) ? weight : 0),
+          0
+        );
+        // Every word has to match somewhere
+        if (fieldScore === 0) return null;
+        score += fieldScore;
+      }
+      return { instruction, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.instruction.id.localeCompare(b.instruction.id));
+
+  if (scored.length === 0) {
+    console.log('No matching instructions.');
+    return;
+  }
+  scored.forEach(({ instruction }) => console.log(formatRow(instruction)));
+}
+
+function showInstruction(instructions, [key]) {
+  if (!key) {
+    throw new CliError('show needs an instruction id');
+  }
+  console.log(findInstruction(instructions, key).content);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function renderBlock(instruction) {
+  return [
+    `<!-- ${MARKER_PREFIX}:start ${instruction.id} -->`,
+    instruction.content.trim(),
+    `<!-- ${MARKER_PREFIX}:end ${instruction.id} -->`
+  ].join('\n');
+}
+
+// Replace the marked block of each instruction in place, or append it when it is new.
+// Anything outside the markers is left untouched so hand-written rules survive.
+function mergeInstructions(existing, selected) {
+  let merged = existing;
+  const summary = { added: [], updated: [] };
+
+  selected.forEach(instruction => {
+    const block = renderBlock(instruction);
+    const pattern = new RegExp(
+      `<!-- ${MARKER_PREFIX}:start ${escapeRegExp(instruction.id)} -->[\\s\\S]*?<!-- ${MARKER_PREFIX}:end ${escapeRegExp(instruction.id)} -->`
+    );
+
+    if (pattern.test(merged)) {
+      merged = merged.replace(pattern, () => block);
+      summary.updated.push(instruction.id);
+    } else {
+      merged = merged.trim() ? `${merged.trimEnd()}\n\n${block}` : block;
+      summary.added.push(instruction.id);
+    }
+  });
+
+  return { content: `${merged.trimEnd()}\n`, summary };
+}
+
+// Resolve keys to instructions, dropping repeats but keeping the order given
+function selectInstructions(instructions, keys) {
+  return [...new Map(keys.map(key => {
+    const instruction = findInstruction(instructions, key);
+    return [instruction.id, instruction];
+  })).values()];
+}
+
+// Template placeholders such as {{testRunner}} get the defaults their instruction declares
+async function fillDefaults(selected) {
+  const { fillTemplate } = await import(pathToFileURL(templateVariablesModule).href);
+  return selected.map(instruction => ({
+    ...instruction,
+    content: fillTemplate(instruction.content, instruction.variables)
+  }));
+}
+
+async function installInstructions(instructions, keys, { target, dryRun }) {
+  if (keys.length === 0) {
+    throw new CliError('install needs at least one instruction id');
+  }
+  const selected = await fillDefaults(selectInstructions(instructions, keys));
+
+  const outputPath = path.join(target, targetRelativePath);
+  const existing = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+  const { content, summary } = mergeInstructions(existing, selected);
+
+  if (dryRun) {
+    process.stdout.write(content);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  summary.added.forEach(id => console.log(`added    ${id}`));
+  summary.updated.forEach(id => console.log(`updated  ${id}`));
+  console.log(`Wrote ${outputPath}`);
+}
+
+// The converters live with the website, which is an ES module package
+function loadExportFormats() {
+  return import(pathToFileURL(exportFormatsModule).href);
+}
+
+async function listFormats() {
+  const { EXPORT_FORMATS } = await loadExportFormats();
+  EXPORT_FORMATS.forEach(format => console.log(`${format.id.padEnd(14)} ${format.label.padEnd(24)} ${format.location}`));
+}
+
+async function exportCommand(instructions, keys, { format, target, force, dryRun }) {
+  if (keys.length === 0) {
+    throw new CliError('export needs at least one instruction id');
+  }
+  const { EXPORT_FORMATS, findExportFormat, exportInstructions } = await loadExportFormats();
+  if (!format || !findExportFormat(format)) {
+    throw new CliError(`export needs --format, one of: ${EXPORT_FORMATS.map(item => item.id).join(', ')}`);
+  }
+
+  // Without remembered values, placeholders get their defaults
+  const files = exportInstructions(format, selectInstructions(instructions, keys));
+
+  if (dryRun) {
+    files.forEach(file => process.stdout.write(`==> ${file.path} <==\n${file.content}\n`));
+    return;
+  }
+
+  const existing = files.map(file => path.join(target, file.path)).filter(file => fs.existsSync(file));
+  if (existing.length > 0 && !force) {
+    throw new CliError(`Refusing to overwrite ${existing.join(', ')}; use --force to replace them`);
+  }
+
+  files.forEach(file => {
+    const outputPath = path.join(target, file.path);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, file.content);
+    console.log(`Wrote ${outputPath}`);
+  });
+}
+
+async function main(argv) {
+  const { command, args, options } = parseArgs(argv);
+
+  if (options.help || !command) {
+    console.log(usage);
+    return;
+  }
+
+  const instructions = loadInstructions(options.data);
+  switch (command) {
+    case 'list':
+      listInstructions(instructions, options);
+      break;
+    case 'search':
+      searchInstructions(instructions, args);
+      break;
+    case 'show':
+      showInstruction(instructions, args);
+      break;
+    case 'install':
+      await installInstructions(instructions, args, options);
+      break;
+    case 'export':
+      await exportCommand(instructions, args, options);
+      break;
+    case 'formats':
+      await listFormats();
+      break;
+    default:
+      throw new CliError(`Unknown command "${command}"\n\n${usage}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    // Usage errors only need their message; anything else, such as a failed read or
+    // write, keeps its stack for the bug report
+    console.error(error instanceof CliError ? error.message : error.stack);
+    process.exitCode = 1;
+  });
+}
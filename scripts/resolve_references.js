@@ -0,0 +1,198 @@
+// Resolves the title, description, favicon and source name of every link in
+// website/src/data/references.json at build time, so the website ships static
+// reference cards instead of scraping the pages in the browser.
+const fs = require('fs');
+const path = require('path');
+
+const referencesPath = path.join(__dirname, '../website/src/data/references.json');
+const outputPath = path.join(__dirname, '../website/src/data/resolved-references.json');
+const cachePath = path.join(__dirname, '.cache/references.json');
+
+// Fetched metadata is reused for a week before the page is requested again
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT = 10000;
+
+const usage = `Usage: node resolve_references.js [options]
+
+Options:
+  --offline           Use the cache and the hand-written fields only
+  --refresh           Fetch every page again, ignoring the cache
+  --references <file> References to resolve (default: website/src/data/references.json)
+  --output <file>     Where to write the resolved references
+  --cache <file>      Cache of fetched metadata (default: scripts/.cache/references.json)
+  --help              Show this message`;
+
+function parseArgs(argv) {
+  const options = {
+    offline: false,
+    refresh: false,
+    references: referencesPath,
+    output: outputPath,
+    cache: cachePath,
+    help: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return path.resolve(value);
+    };
+
+    if (arg === '--offline') {
+      options.offline = true;
+    } else if (arg === '--refresh') {
+      options.refresh = true;
+    } else if (arg === '--references') {
+      options.references = takeValue();
+    } else if (arg === '--output') {
+      options.output = takeValue();
+    } else if (arg === '--cache') {
+      options.cache = takeValue();
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option ${arg}\n\n${usage}`);
+    }
+  }
+  return options;
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Attributes of every <tagName ...> in the document, with lowercase names
+function findTags(html, tagName) {
+  const tags = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+  return tags.map(tag => {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+    }
+    return attributes;
+  });
+}
+
+function metaContent(metaTags, key) {
+  const tag = metaTags.find(attributes => (attributes.property || attributes.name || '').toLowerCase() === key);
+  return tag && tag.content ? tag.content : null;
+}
+
+/**
+ * Read the metadata of an HTML page. `pageUrl` resolves a relative favicon
+ * link; pages without one fall back to /favicon.ico on the same origin.
+ */
+function parseReferenceHtml(html, pageUrl) {
+  const metaTags = findTags(html, 'meta');
+  const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  // "GitHub Copilot documentation | GitHub Docs" -> "GitHub Copilot documentation"
+  const title = metaContent(metaTags, 'og:title') || (titleMatch ? decodeEntities(titleMatch[1]).split(' | ')[0] : null);
+  const iconLink = findTags(html, 'link').find(attributes =>
+    (attributes.rel || '').toLowerCase().split(/\s+/).includes('icon') && attributes.href
+  );
+
+  return {
+    title: title || null,
+    description: metaContent(metaTags, 'description') || metaContent(metaTags, 'og:description'),
+    source: metaContent(metaTags, 'og:site_name'),
+    favicon: new URL(iconLink ? iconLink.href : '/favicon.ico', pageUrl).href
+  };
+}
+
+async function fetchReferenceMetadata(url, fetchImpl) {
+  const response = await fetchImpl(url, {
+    headers: { 'User-Agent': 'github-copilot-instructions reference resolver' },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return parseReferenceHtml(await response.text(), response.url || url);
+}
+
+// "https://www.docs.github.com/..." -> "docs.github"
+function sourceFromUrl(url) {
+  return new URL(url).hostname.replace(/^www\./, '').split('.').slice(0, -1).join('.');
+}
+
+/**
+ * Resolve references, which are URLs or { url, title, description, source }
+ * objects. Fetched metadata wins; the hand-written fields are the fallback when
+ * a page cannot be fetched or lacks a field. Returns the resolved references and
+ * the updated cache. `fetch` can be replaced to resolve against a stand-in.
+ */
+async function resolveReferences(references, { cache = {}, offline = false, refresh = false, fetch: fetchImpl = fetch, now = Date.now() } = {}) {
+  const nextCache = { ...cache };
+  const resolved = [];
+
+  for (const reference of references) {
+    const given = typeof reference === 'string' ? { url: reference } : reference;
+    const cached = cache[given.url];
+    let fetched = cached;
+
+    const isFresh = cached && now - new Date(cached.fetchedAt).getTime() < CACHE_MAX_AGE;
+    if (!offline && (refresh || !isFresh)) {
+      try {
+        fetched = { ...(await fetchReferenceMetadata(given.url, fetchImpl)), fetchedAt: new Date(now).toISOString() };
+        nextCache[given.url] = fetched;
+      } catch (error) {
+        // Failures are not cached, so the next run tries again
+        console.warn(`Could not fetch ${given.url} (${error.message}), using ${cached ? 'cached' : 'hand-written'} fields`);
+      }
+    }
+
+    fetched = fetched || {};
+    resolved.push({
+      url: given.url,
+      title: fetched.title || given.title || given.url,
+      description: fetched.description || given.description || '',
+      source: fetched.source || given.source || sourceFromUrl(given.url),
+      favicon: fetched.favicon || new URL('/favicon.ico', given.url).href
+    });
+  }
+
+  return { resolved, cache: nextCache };
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const references = readJson(options.references, []);
+  const { resolved, cache } = await resolveReferences(references, {
+    cache: readJson(options.cache, {}),
+    offline: options.offline,
+    refresh: options.refresh
+  });
+
+  fs.mkdirSync(path.dirname(options.cache), { recursive: true });
+  fs.writeFileSync(options.cache, JSON.stringify(cache, null, 2));
+  fs.writeFileSync(options.output, `${JSON.stringify(resolved, null, 2)}\n`);
+  console.log(`Resolved ${resolved.length} references into ${path.relative(process.cwd(), options.output)}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseReferenceHtml, resolveReferences };
@@ -0,0 +1,162 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const sectionsModule = path.join(__dirname, '../website/src/utils/markdownSections.js');
+
+// Instructions scoring at least this much are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.4;
+// Minimum score for an entry in an instruction's "similar" list
+const SIMILAR_THRESHOLD = 0.25;
+const MAX_SIMILAR = 5;
+// Matching sections must be at least this close to count as shared
+const SECTION_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'of',
+  'on', 'or', 'that', 'the', 'this', 'to', 'use', 'using', 'with', 'proper', 'implement', 'follow'
+]);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [])
+    .map(token => token.replace(/\.+$/, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+function termFrequencies(text) {
+  const counts = new Map();
+  tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+function toVector(counts, idf) {
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+  return { vector, norm: Math.sqrt(norm) };
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.vector.size < b.vector.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.vector.forEach((weight, term) => {
+    const other = large.vector.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot / (a.norm * b.norm);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Compare every pair of instructions using TF-IDF cosine similarity.
+ * Returns one entry per pair above SIMILAR_THRESHOLD, sorted by score,
+ * with the `##` sections whose content is close in both documents.
+ */
+async function computeSimilarities(instructions) {
+  const { parseSections, normalizeHeading } = await import(pathToFileURL(sectionsModule).href);
+
+  const documents = instructions.map(instruction => ({
+    instruction,
+    counts: termFrequencies(instruction.content),
+    sections: parseSections(instruction.content).sections.map(section => ({
+      heading: section.heading,
+      key: normalizeHeading(section.heading),
+      counts: termFrequencies(section.body)
+    }))
+  }));
+
+  const documentFrequency = new Map();
+  documents.forEach(({ counts }) => {
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  const idf = new Map();
+  documentFrequency.forEach((frequency, term) => {
+    idf.set(term, Math.log(documents.length / frequency));
+  });
+
+  documents.forEach(document => {
+    document.vector = toVector(document.counts, idf);
+    document.sections.forEach(section => {
+      section.vector = toVector(section.counts, idf);
+    });
+  });
+
+  const pairs = [];
+  for (let i = 0; i < documents.length; i++) {
+    for (let j = i + 1; j < documents.length; j++) {
+      const score = cosine(documents[i].vector, documents[j].vector);
+      if (score < SIMILAR_THRESHOLD) continue;
+
+      const sharedSections = documents[i].sections
+        .map(section => {
+          const match = documents[j].sections.find(other => other.key === section.key);
+          return match ? { heading: section.heading, score: round(cosine(section.vector, match.vector)) } : null;
+        })
+        .filter(section => section && section.score >= SECTION_THRESHOLD);
+
+      pairs.push({
+        a: documents[i].instruction.id,
+        b: documents[j].instruction.id,
+        score: round(score),
+        sharedSections
+      });
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+// Top matches for each instruction, in the shape stored in instructions.json
+function similarByInstruction(pairs) {
+  const byId = new Map();
+  const add = (id, entry) => {
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(entry);
+  };
+
+  pairs.forEach(({ a, b, score, sharedSections }) => {
+    const headings = sharedSections.map(section => section.heading);
+    add(a, { id: b, score, sharedSections: headings });
+    add(b, { id: a, score, sharedSections: headings });
+  });
+
+  byId.forEach((entries, id) => byId.set(id, entries.slice(0, MAX_SIMILAR)));
+  return byId;
+}
+
+function renderDuplicateReport(pairs, instructions) {
+  const files = new Map(instructions.map(instruction => [
+    instruction.id,
+    path.posix.join('instructions', instruction.category, ...instruction.subcategories, instruction.filename)
+  ]));
+  const duplicates = pairs.filter(pair => pair.score >= DUPLICATE_THRESHOLD);
+
+  const lines = [
+    '# Likely Duplicate Instructions',
+    '',
+    '<!-- Generated by scripts/generate_instruction_data.js, do not edit by hand. -->',
+    '',
+    `Pairs of instructions with a content similarity of ${DUPLICATE_THRESHOLD} or more (TF-IDF cosine, 1 means identical wording).`,
+    'Consider merging them or making the differences explicit in their titles and descriptions.',
+    ''
+  ];
+
+  if (duplicates.length === 0) {
+    lines.push('No likely duplicates found.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push('| Score | Instruction | Instruction | Shared sections |', '|------:|-------------|-------------|-----------------|');
+  duplicates.forEach(({ a, b, score, sharedSections }) => {
+    const shared = sharedSections.map(section => `${section.heading} (${section.score})`).join(', ') || '-';
+    lines.push(`| ${score.toFixed(2)} | \`${files.get(a)}\` | \`${files.get(b)}\` | ${shared} |`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { computeSimilarities, similarByInstruction, renderDuplicateReport };
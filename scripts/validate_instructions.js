@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+
+const instructionsDir = path.join(__dirname, '../instructions');
+
+// Frontmatter fields read by generate_instruction_data.js. All of them are optional,
+// the generator falls back to defaults for anything that is missing.
+const frontmatterSchema = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  slug: { type: 'string', pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ },
+  tags: { type: 'string[]' },
+  language: { type: 'string' },
+  framework: { type: 'string' },
+  applyTo: { type: 'string' },
+  compatibility: { type: 'string[]', enum: ['VS Code', 'Visual Studio', 'JetBrains', 'Neovim', 'Xcode', 'Eclipse'] },
+  difficulty: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+  topics: { type: 'string[]' },
+  contributor: { type: 'string' },
+  variables: { type: 'variables' }
+};
+
+// Fill-in placeholders: `variables: { testRunner: { type: choice, choices: [jest, vitest], default: jest } }`
+// declares `{{testRunner}}` for the body
+const variableTypes = ['string', 'number', 'choice'];
+const variableFields = ['label', 'type', 'choices', 'default', 'description'];
+
+function checkVariable(name, variable) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    return `"${name}" must be a name of letters, digits and underscores`;
+  }
+  if (variable === null || typeof variable !== 'object' || Array.isArray(variable)) {
+    return `"${name}" must be a mapping with ${variableFields.join(', ')}`;
+  }
+  const unknown = Object.keys(variable).filter(field => !variableFields.includes(field));
+  if (unknown.length > 0) {
+    return `"${name}" has unknown field(s) ${unknown.join(', ')}; allowed fields are ${variableFields.join(', ')}`;
+  }
+  const type = variable.type || 'string';
+  if (!variableTypes.includes(type)) {
+    return `"${name}" has type "${type}"; expected ${variableTypes.join(', ')}`;
+  }
+  if (variable.label !== undefined && typeof variable.label !== 'string') {
+    return `"${name}" label must be a string`;
+  }
+  if (type === 'choice') {
+    const { choices } = variable;
+    if (!Array.isArray(choices) || choices.length === 0 || choices.some(choice => typeof choice !== 'string')) {
+      return `"${name}" must list its choices as strings`;
+    }
+    if (variable.default !== undefined && !choices.includes(variable.default)) {
+      return `"${name}" default must be one of ${choices.join(', ')}`;
+    }
+  } else if (variable.choices !== undefined) {
+    return `"${name}" can only have choices when its type is choice`;
+  }
+  if (type === 'number' && variable.default !== undefined && typeof variable.default !== 'number') {
+    return `"${name}" default must be a number`;
+  }
+  if (type === 'string' && variable.default !== undefined && typeof variable.default !== 'string') {
+    return `"${name}" default must be a string`;
+  }
+  return null;
+}
+
+// Sections every instruction is expected to have, in the order of the template
+const expectedSections = ['Project Context', 'Code Style Guidelines'];
+
+function diagnostic(file, line, severity, message) {
+  return { file, line, severity, message };
+}
+
+function formatDiagnostic({ file, line, severity, message }) {
+  return `${file}:${line}: ${severity}: ${message}`;
+}
+
+function checkValue(value, rule) {
+  if (rule.type === 'variables') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be a mapping of variable names to definitions';
+    }
+    const problem = Object.entries(value).map(([name, variable]) => checkVariable(name, variable)).find(Boolean);
+    return problem ? `variable ${problem}` : null;
+  }
+  if (rule.type === 'string[]') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return 'must be a list of strings';
+    }
+    const invalid = rule.enum ? value.filter(item => !rule.enum.includes(item)) : [];
+    return invalid.length > 0 ? `has unsupported value(s) ${invalid.join(', ')}; expected ${rule.enum.join(', ')}` : null;
+  }
+
+  if (typeof value !== rule.type) {
+    return `must be a ${rule.type}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(', ')}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `must match ${rule.pattern}`;
+  }
+  return null;
+}
+
+// Line number (1-based) of each top-level key in the frontmatter block
+function frontmatterKeyLines(raw) {
+  const lines = raw.split('\n');
+  const keyLines = {};
+  if (lines[0].trim() !== '---') return keyLines;
+
+  for (let i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+    const key = lines[i].match(/^([A-Za-z_][\w-]*)\s*:/);
+    if (key) keyLines[key[1]] = i + 1;
+  }
+  return keyLines;
+}
+
+function validateFrontmatter(file, raw, data) {
+  const keyLines = frontmatterKeyLines(raw);
+  const diagnostics = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    const line = keyLines[key] || 1;
+    const rule = frontmatterSchema[key];
+    if (!rule) {
+      diagnostics.push(diagnostic(file, line, 'error',
+        `unknown frontmatter field "${key}"; allowed fields are ${Object.keys(frontmatterSchema).join(', ')}`));
+      return;
+    }
+    const problem = checkValue(value, rule);
+    if (problem) {
+      diagnostics.push(diagnostic(file, line, 'error', `frontmatter field "${key}" ${problem}`));
+    }
+  });
+
+  return diagnostics;
+}
+
+function validateBody(file, body, lineOffset) {
+  const diagnostics = [];
+  const lines = body.split('\n');
+  const headings = [];
+  let fenceLine = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1 + lineOffset;
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenceLine = fenceLine === null ? lineNumber : null;
+      return;
+    }
+    const heading = fenceLine === null && line.match(/^(#{1,6})\s+(.*?)\s*$/);
+    if (heading) {
+      headings.push({ level: heading[1].length, text: heading[2], line: lineNumber });
+    }
+  });
+
+  const firstContent = lines.findIndex(line => line.trim());
+  if (firstContent === -1) {
+    return [diagnostic(file, lineOffset + 1, 'error', 'instruction has no content')];
+  }
+  if (!/^#\s+\S/.test(lines[firstContent])) {
+    diagnostics.push(diagnostic(file, firstContent + 1 + lineOffset, 'error', 'instruction must start with a "# Title" heading'));
+  }
+  headings
+    .filter(heading => heading.level === 1)
+    .slice(1)
+    .forEach(heading => {
+      diagnostics.push(diagnostic(file, heading.line, 'warning', `additional top-level heading "${heading.text}", use "##" for sections`));
+    });
+
+  if (fenceLine !== null) {
+    diagnostics.push(diagnostic(file, fenceLine, 'error', 'code fence is never closed'));
+  }
+
+  const sectionNames = headings.filter(heading => heading.level === 2).map(heading => heading.text.toLowerCase());
+  expectedSections.forEach(section => {
+    if (!sectionNames.includes(section.toLowerCase())) {
+      diagnostics.push(diagnostic(file, lineOffset + 1, 'warning', `missing "## ${section}" section`));
+    }
+  });
+
+  return diagnostics;
+}
+
+// Declared variables the body never uses are most likely typos
+function validateVariableUsage(file, raw, { data, content }) {
+  const variables = data.variables;
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) return [];
+  const line = frontmatterKeyLines(raw).variables || 1;
+  return Object.keys(variables)
+    .filter(name => !new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(content))
+    .map(name => diagnostic(file, line, 'warning', `variable "${name}" is declared but {{${name}}} is not used`));
+}
+
+/**
+ * Validate the raw markdown of one instruction file.
+ * Returns a list of { file, line, severity, message } diagnostics.
+ */
+function validateInstruction(file, raw) {
+  let parsed;
+  try {
+    parsed = matter(raw);
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 2 : 1;
+    return [diagnostic(file, line, 'error', `invalid frontmatter: ${error.reason || error.message}`)];
+  }
+
+  // Body line numbers start after the frontmatter block
+  const lineOffset = parsed.matter ? raw.slice(0, raw.indexOf(parsed.content)).split('\n').length - 1 : 0;
+
+  return [
+    ...validateFrontmatter(file, raw, parsed.data),
+    ...validateBody(file, parsed.content, lineOffset),
+    ...validateVariableUsage(file, raw, parsed)
+  ];
+}
+
+function listInstructionFiles(dir) {
+  return fs.readdirSync(dir).flatMap(file => {
+    const filePath = path.join(dir, file);
+    if (fs.statSync(filePath).isDirectory()) return listInstructionFiles(filePath);
+    return path.extname(file) === '.md' ? [filePath] : [];
+  });
+}
+
+function validateAll(dir = instructionsDir) {
+  return listInstructionFiles(dir).flatMap(filePath =>
+    validateInstruction(path.relative(path.join(dir, '..'), filePath), fs.readFileSync(filePath, 'utf8'))
+  );
+}
+
+if (require.main === module) {
+  const strict = process.argv.includes('--strict');
+  const diagnostics = validateAll();
+  diagnostics.forEach(item => console.log(formatDiagnostic(item)));
+
+  // With --strict every warning counts as an error, in the summary as in the exit code
+  const errors = diagnostics.filter(item => item.severity === 'error' || strict);
+  const warnings = diagnostics.length - errors.length;
+  console.log(`${errors.length} error(s), ${warnings} warning(s)`);
+  if (errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { frontmatterSchema, validateInstruction, validateAll, formatDiagnostic };
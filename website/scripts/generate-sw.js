@@ -0,0 +1,94 @@
+// Writes dist/sw.js after the build and pre-render steps. The service worker
+// precaches every built file, so the whole site works offline, and its cache
+// version changes whenever any file does, which is what triggers the in-app
+// "new version available" prompt.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const distDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
+const SERVICE_WORKER_FILE = 'sw.js';
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+// Pages are requested as /i/<id>/, not /i/<id>/index.html
+function toUrl(file) {
+  const url = `/${path.relative(distDir, file).split(path.sep).join('/')}`;
+  return url.endsWith('/index.html') ? url.slice(0, -'index.html'.length) : url;
+}
+
+const renderServiceWorker = (version, urls) => `// Generated by scripts/generate-sw.js, do not edit
+const CACHE_NAME = 'copilot-instructions-${version}';
+const PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};
+// Served for client-side routes that have no pre-rendered page
+const FALLBACK_URL = '/404.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(async (cache) =>
+        (await cache.match(url.pathname)) ||
+        (await cache.match(url.pathname.endsWith('/') ? url.pathname : url.pathname + '/')) ||
+        fetch(request).catch(() => cache.match(FALLBACK_URL))
+      )
+    );
+    return;
+  }
+
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
+`;
+
+function generateServiceWorker() {
+  if (!fs.existsSync(path.join(distDir, 'index.html'))) {
+    throw new Error(`${distDir} has no index.html, run "vite build" first`);
+  }
+
+  const files = listFiles(distDir)
+    .filter((file) => path.basename(file) !== SERVICE_WORKER_FILE && !file.endsWith('.map'))
+    .sort();
+  const hash = crypto.createHash('sha256');
+  files.forEach((file) => {
+    hash.update(toUrl(file));
+    hash.update(fs.readFileSync(file));
+  });
+  const version = hash.digest('hex').slice(0, 12);
+
+  fs.writeFileSync(path.join(distDir, SERVICE_WORKER_FILE), renderServiceWorker(version, files.map(toUrl)));
+  console.log(`Service worker ${version} precaches ${files.length} files`);
+}
+
+try {
+  generateServiceWorker();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
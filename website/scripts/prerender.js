@@ -0,0 +1,182 @@
+// Writes a static page for every instruction and category into dist/ after
+// `vite build`, so link previews and search engines get a real title,
+// description and content. The markup is the app's own, rendered by the server
+// build of src/entry-server.jsx in dist-ssr/, and the browser hydrates it.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SITE_URL, instructionPath, categoryPath } from '../src/utils/routes.js';
+import { fillTemplate } from '../src/utils/templateVariables.js';
+
+const websiteDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(websiteDir, 'dist');
+const serverEntry = path.join(websiteDir, 'dist-ssr', 'entry-server.js');
+// Template variables are shown with their defaults
+const instructions = JSON.parse(fs.readFileSync(path.join(websiteDir, 'src/data/instructions.json'), 'utf8')).map(
+  (instruction) => ({ ...instruction, content: fillTemplate(instruction.content, instruction.variables) })
+);
+
+const SITE_NAME = 'GitHub Copilot Instructions';
+const MAX_DESCRIPTION_LENGTH = 160;
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const displayTitle = (instruction) => {
+  const heading = instruction.content.match(/^#\s+(.+)$/m);
+  return heading ? heading[1].trim() : instruction.title;
+};
+
+// Instruction descriptions default to the markdown title line, which makes a poor
+// summary; the first bullets of the instruction say more in that case
+const summarize = (instruction) => {
+  const title = displayTitle(instruction);
+  const description = (instruction.description || '').replace(/^#+\s*/, '').trim();
+  let text = description;
+  if (!description || description === title) {
+    const bullets = (instruction.content.match(/^\s*[-*]\s+.+$/gm) || [])
+      .slice(0, 4)
+      .map((line) => line.replace(/^\s*[-*]\s+/, '').replace(/[*_`]/g, ''));
+    text = bullets.length > 0 ? `${title}: ${bullets.join('; ')}.` : title;
+  }
+  return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…` : text;
+};
+
+const setMeta = (html, attribute, name, content) => {
+  const tag = `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`;
+  const pattern = new RegExp(`<meta ${attribute}="${name}" content="[^"]*"\\s*/?>`);
+  return pattern.test(html) ? html.replace(pattern, () => tag) : html.replace(/(\s*)<\/head>/, (match, space) => `\n    ${tag}${space}</head>`);
+};
+
+// Fill the built index.html with the page's head tags and the app's markup for it.
+// The root remembers the path it was rendered for, which main.jsx hydrates.
+const renderPage = (template, { title, description, pagePath, type = 'website', body }) => {
+  const url = `${SITE_URL}${pagePath}`;
+  let html = template.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+  html = setMeta(html, 'name', 'description', description);
+  html = setMeta(html, 'property', 'og:title', title);
+  html = setMeta(html, 'property', 'og:description', description);
+  html = setMeta(html, 'property', 'og:url', url);
+  html = setMeta(html, 'property', 'og:type', type);
+  html = setMeta(html, 'name', 'twitter:title', title);
+  html = setMeta(html, 'name', 'twitter:description', description);
+  html = html.replace(/\s*<link rel="canonical" href="[^"]*" \/>/, '');
+  html = html.replace(/(\s*)<\/head>/, (match, space) => `\n    <link rel="canonical" href="${escapeHtml(url)}" />${space}</head>`);
+  return html.replace('<div id="root"></div>', () => `<div id="root" data-path="${escapeHtml(pagePath)}">${body}</div>`);
+};
+
+const groupByCategory = () =>
+  instructions.reduce((groups, instruction) => {
+    (groups[instruction.category] = groups[instruction.category] || []).push(instruction);
+    return groups;
+  }, {});
+
+const writePage =(pagePath, html) => {
+  const file = path.join(distDir, pagePath, 'index.html');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+};
+
+const renderSitemap = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map(({ pagePath, lastmod }) =>
+      `  <url><loc>${escapeHtml(`${SITE_URL}${pagePath}`)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`
+    ),
+    '</urlset>',
+    '',
+  ].join('\n');
+
+const lastmodOf = (items) =>
+  items
+    .map((item) => item.metadata?.lastUpdated)
+    .filter(Boolean)
+    .map((date) => new Date(date).toISOString().slice(0, 10))
+    .sort()
+    .pop();
+
+// The app reads the URL, history and localStorage of the browser it runs in. Here
+// that is a fresh browser with nothing stored, at the address of the page rendered.
+const loadRenderer = async () => {
+  if (!fs.existsSync(serverEntry)) {
+    throw new Error(`${serverEntry} not found, run "vite build --ssr src/entry-server.jsx --outDir dist-ssr" first`);
+  }
+  const storage = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+  };
+  globalThis.window = {
+    location: new URL(SITE_URL),
+    history: { state: null, replaceState() {}, pushState() {} },
+  };
+  const { render } = await import(pathToFileURL(serverEntry).href);
+  return (pagePath) => {
+    globalThis.window.location = new URL(pagePath, SITE_URL);
+    return render(pagePath);
+  };
+};
+
+async function prerender() {
+  const templatePath = path.join(distDir, 'index.html');
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`${templatePath} not found, run "vite build" first`);
+  }
+  const template = fs.readFileSync(templatePath, 'utf8');
+  if (!template.includes('<div id="root"></div>')) {
+    throw new Error(`${templatePath} has already been pre-rendered, run "vite build" again`);
+  }
+  const render = await loadRenderer();
+  const groups = groupByCategory();
+  const sitemap = [{ pagePath: '/', lastmod: lastmodOf(instructions) }];
+
+  instructions.forEach((instruction) => {
+    const pagePath = instructionPath(instruction.id);
+    writePage(pagePath, renderPage(template, {
+      title: `${displayTitle(instruction)} | ${SITE_NAME}`,
+      description: summarize(instruction),
+      pagePath,
+      type: 'article',
+      body: render(pagePath),
+    }));
+    sitemap.push({ pagePath, lastmod: lastmodOf([instruction]) });
+  });
+
+  Object.entries(groups).forEach(([category, items]) => {
+    const pagePath = categoryPath(category);
+    writePage(pagePath, renderPage(template, {
+      title: `${category} instructions | ${SITE_NAME}`,
+      description: `${items.length} GitHub Copilot custom instructions for ${category.replace(/-/g, ' ')}.`,
+      pagePath,
+      body: render(pagePath),
+    }));
+    sitemap.push({ pagePath, lastmod: lastmodOf(items) });
+  });
+
+  const home = renderPage(template, {
+    title: SITE_NAME,
+    description: 'Discover and share custom instructions for enhancing your GitHub Copilot experience. Browse curated instructions for different programming languages, frameworks, and development scenarios.',
+    pagePath: '/',
+    body: render('/'),
+  });
+  fs.writeFileSync(templatePath, home);
+  // GitHub Pages serves 404.html for unknown paths; the app then routes on the client
+  fs.writeFileSync(path.join(distDir, '404.html'), template);
+
+  fs.writeFileSync(path.join(distDir, 'sitemap.xml'), renderSitemap(sitemap));
+  fs.writeFileSync(path.join(distDir, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${SITE_URL}/sitemap.xml\n`);
+
+  console.log(`Pre-rendered ${instructions.length} instruction and ${Object.keys(groups).length} category pages`);
+}
+
+prerender().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
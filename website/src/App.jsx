@@ -1,5 +1,5 @@
 // src/App.jsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Header from './components/Header/Header';
 import SearchBar from './components/SearchBar/SearchBar';
 import TagFilter from './components/TagFilter/TagFilter';
@@ -8,41 +8,217 @@ import ReferencesSection from './components/ReferencesSection/ReferencesSection'
 import SelectedInstructionModal from './components/SelectedInstructionModal/SelectedInstructionModal';
 import Footer from './components/Footer/Footer';
 import instructions from './data/instructions.json';
-import references from './data/references.json'; // Updated import path
-import axios from 'axios';
-import { load } from 'cheerio';
+import searchIndex from './data/search-index.json';
+import taxonomyDefinition from './data/taxonomy.json';
 import debounce from 'lodash.debounce';
 import TopInstructions from './components/TopInstructions';
+import { findInstruction } from './utils/instructions';
+import { instructionPath, categoryPath, tagPath, comparePath, sharedCollectionPath, parseRoute } from './utils/routes';
+import { createCollection, toggleInCollection, uniqueCollectionName, decodeCollection } from './utils/collections';
+import { MAX_COMPARED } from './utils/compare';
+import { searchInstructions } from './utils/search';
+import { createTaxonomy } from './utils/taxonomy';
+import { countFacetValues, hasFacetFilters, matchesFacets, readFacetFilters, toggleFacetValue, writeFacetFilters } from './utils/facets';
+import BundleBuilder from './components/BundleBuilder/BundleBuilder';
+import SettingsPanel from './components/SettingsPanel/SettingsPanel';
+import StackDetector from './components/StackDetector/StackDetector';
+import FacetSidebar from './components/FacetSidebar/FacetSidebar';
+import CompareView from './components/CompareView/CompareView';
+import CollectionsPanel from './components/CollectionsPanel/CollectionsPanel';
+import CommandPalette from './components/CommandPalette/CommandPalette';
+import ShortcutHelp from './components/CommandPalette/ShortcutHelp';
+import { getAllTools, buildToolUrl } from './utils/aiTools';
+import { importPersonalData } from './utils/personalData';
+import { fillTemplate } from './utils/templateVariables';
+import { exportInstructions } from './utils/exportFormats';
+import { downloadFile } from './utils/download';
+import { isTypingTarget, focusedInstructionId, moveListFocus } from './utils/shortcuts';
+import { getHydratingPath, setHydratingPath } from './utils/hydration';
 import {
+  EMPTY_STORED_STATE,
   loadStoredState,
+  loadTemplateValues,
   saveDarkMode,
   saveInstructionUsageStats,
   saveToolUsageStats,
-  saveReferencesData,
-  loadReferencesData,
-  saveFavoriteInstructions
+  saveCustomTools,
+  getMostFrequentTool,
+  clearReferencesData,
+  saveFavoriteInstructions,
+  saveBundleInstructions,
+  saveCollections,
+  saveInstructionSnapshots,
+  migrateStoredInstructionKeys
 } from './utils/localStorage';
 
 const PAGE_SIZE = 20; // Number of instructions to load at a time
 
+const taxonomy = createTaxonomy(taxonomyDefinition);
+
+// The shared collection in a /l/<encoded>/ path; broken links are ignored
+const readSharedCollection = (encoded) => {
+  const collection = encoded ? decodeCollection(encoded) : null;
+  return collection ? { ...collection, encoded } : null;
+};
+
+// Rewrite filename-keyed data from older versions before any state is read
+migrateStoredInstructionKeys(instructions);
+
+// Older share links use ?instruction=; move them to the instruction's own page.
+// Links created before ids were used carry an encoded filename.
+const migrateInstructionParam = () => {
+  const url = new URL(window.location);
+  const sharedInstructionKey = url.searchParams.get('instruction');
+  if (!sharedInstructionKey) return;
+  let instructionToShow = null;
+  try {
+    instructionToShow = findInstruction(instructions, decodeURIComponent(sharedInstructionKey));
+  } catch {
+    // A broken escape in the link; it is dropped like an unknown instruction
+  }
+  url.searchParams.delete('instruction');
+  if (instructionToShow) {
+    url.pathname = instructionPath(instructionToShow.id);
+  }
+  window.history.replaceState(window.history.state, '', url);
+};
+
+migrateInstructionParam();
+
+/**
+ * Everything a URL (by default the current one) shows: the list, as a category or
+ * tag page with ?tags=, ?q= and facets, and what is open on top of it, if anything.
+ * A category with something open on top of it is kept in ?in=.
+ */
+const readLocation = ({ pathname, search } = window.location) => {
+  const route = parseRoute(pathname);
+  const params = new URLSearchParams(search);
+  // Links may use aliases or older tag names, such as ts or Node
+  const tags = [route.tag, ...(params.get('tags') || '').split(',')]
+    .filter(Boolean)
+    .map((tag) => taxonomy.canonicalTag(tag));
+  const category = route.category || params.get('in');
+  const isCategory = instructions.some((instruction) => (instruction.category || 'Uncategorized') === category);
+
+  return {
+    category: isCategory ? category : null,
+    tags: [...new Set(tags)],
+    query: params.get('q') || '',
+    facetFilters: readFacetFilters(params, taxonomy),
+    instruction: findInstruction(instructions, route.instructionId),
+    compareIds: route.compareIds || null,
+    sharedCollection: readSharedCollection(route.sharedCollection),
+  };
+};
+
+// The URL for a view, the reverse of readLocation. What is open on top of the
+// list takes the path; a single tag gets its own page when nothing else does.
+const buildLocation = ({ category, tags, query, facetFilters, instruction, compareIds, sharedCollection }) => {
+  const url = new URL(window.location);
+  const overlayPath =
+    (instruction && instructionPath(instruction.id)) ||
+    (compareIds && comparePath(compareIds)) ||
+    (sharedCollection && sharedCollectionPath(sharedCollection.encoded));
+  const isTagPage = !overlayPath && !category && tags.length === 1;
+
+  url.pathname = overlayPath || (category && categoryPath(category)) || (isTagPage && tagPath(tags[0])) || '/';
+  if (overlayPath && category) {
+    url.searchParams.set('in', category);
+  } else {
+    url.searchParams.delete('in');
+  }
+  if (tags.length > 0 && !isTagPage) {
+    url.searchParams.set('tags', tags.join(','));
+  } else {
+    url.searchParams.delete('tags');
+  }
+  if (query) {
+    url.searchParams.set('q', query);
+  } else {
+    url.searchParams.delete('q');
+  }
+  writeFacetFilters(url.searchParams, facetFilters);
+  // A #section anchor belongs to the instruction that was open
+  if (url.pathname !== window.location.pathname) {
+    url.hash = '';
+  }
+  return url;
+};
+
+// Typing in the search box updates the current history entry instead of adding one per word
+const differsOnlyInQuery = (url) => {
+  const withoutQuery = (href) => {
+    const copy = new URL(href);
+    copy.searchParams.delete('q');
+    return copy.href;
+  };
+  return withoutQuery(url.href) === withoutQuery(window.location.href);
+};
+
+// Remember how far the list was scrolled in its history entry, so Back returns there.
+// Nothing is recorded while a panel has locked the page.
+const recordScroll = debounce((scrollY) => {
+  window.history.replaceState({ ...window.history.state, scrollY }, '');
+}, 150);
+
 const App = () => {
-  const storedState = loadStoredState();
+  // A pre-rendered page first renders as scripts/prerender.js did: from its path
+  // alone, with nothing stored. The rest is applied once mounted.
+  const [hydratingPath] = useState(getHydratingPath);
+  const storedState = hydratingPath === null ? loadStoredState() : EMPTY_STORED_STATE;
   const [isDarkMode, setIsDarkMode] = useState(storedState.darkMode);
   const [usageStats, setUsageStats] = useState(storedState.instructionUsageStats);
   const [toolUsageStats, setToolUsageStats] = useState(storedState.toolUsageStats);
+  const [customTools, setCustomTools] = useState(storedState.customTools);
   const [favoriteInstructions, setFavoriteInstructions] = useState(storedState.favoriteInstructions);
+  const [bundleIds, setBundleIds] = useState(storedState.bundleInstructions);
+  const [snapshots, setSnapshots] = useState(storedState.instructionSnapshots);
+  const [collections, setCollections] = useState(storedState.instructionCollections);
 
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedTags, setSelectedTags] = useState([]);
-  const [visibleInstructions, setVisibleInstructions] = useState([]);
-  const [hasMore, setHasMore] = useState(true);
-  const [page, setPage] = useState(1);
-  const [selectedInstruction, setSelectedInstruction] = useState(null);
+  // The view starts as the URL describes it, so the URL is not rewritten on load
+  const [initialLocation] = useState(() =>
+    hydratingPath === null ? readLocation() : readLocation({ pathname: hydratingPath, search: '' })
+  );
+  // The history entry's page count and scroll position, which a reload returns to
+  const [initialHistoryState] = useState(() => window.history.state);
+  const [searchQuery, setSearchQuery] = useState(initialLocation.query);
+  // Changed on Back and Forward, to reset the search box to the restored query
+  const [searchBarKey, setSearchBarKey] = useState(0);
+  const [selectedTags, setSelectedTags] = useState(initialLocation.tags);
+  const [facetFilters, setFacetFilters] = useState(initialLocation.facetFilters);
+  // Pages of PAGE_SIZE instructions shown so far; a reload keeps them, and the scroll position
+  const [page, setPage] = useState(() => (hydratingPath === null && initialHistoryState?.page) || 1);
+  const [restoredScrollY, setRestoredScrollY] = useState(() =>
+    hydratingPath !== null || initialLocation.instruction || initialLocation.compareIds || initialLocation.sharedCollection
+      ? null
+      : initialHistoryState?.scrollY ?? null
+  );
+  const [selectedInstruction, setSelectedInstruction] = useState(initialLocation.instruction);
+  const [showChangesOnOpen, setShowChangesOnOpen] = useState(false);
+  // Instructions picked for comparison, and whether the comparison is open (/compare/<ids>/)
+  const [compareIds, setCompareIds] = useState(initialLocation.compareIds || []);
+  const [showCompare, setShowCompare] = useState(Boolean(initialLocation.compareIds));
+  const [showCollections, setShowCollections] = useState(false);
+  // Collection opened from a shared /l/<encoded>/ link, read-only until cloned
+  const [sharedCollection, setSharedCollection] = useState(initialLocation.sharedCollection);
+  const [openCollectionId, setOpenCollectionId] = useState(null);
   const [isCopied, setIsCopied] = useState(false);
   const [showAllTags, setShowAllTags] = useState(false);
-  const [referencesData, setReferencesData] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [selectedCategory, setSelectedCategory] = useState(initialLocation.category);
   const [showHero, setShowHero] = useState(true);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showStackDetector, setShowStackDetector] = useState(false);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  // What the palette's Copy, favorite and Download act on, picked when it opens
+  const [paletteInstruction, setPaletteInstruction] = useState(null);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  // Short confirmation for shortcuts that act outside of a window, e.g. "Copied ..."
+  const [notice, setNotice] = useState(null);
+  const searchInputRef = useRef(null);
+
+  const tools = getAllTools(customTools);
+  // The most used tool, offered on every card as the Quick Action
+  const quickActionTool = getMostFrequentTool(tools, toolUsageStats);
 
   const toggleDarkMode = () => {
     const newMode = !isDarkMode;
@@ -72,14 +248,18 @@ const App = () => {
   const totalInstructions = instructions.length;
 
   // Group instructions by category
-  const groupedInstructions = instructions.reduce((acc, instruction) => {
-    const category = instruction.category || 'Uncategorized';
-    if (!acc[category]) {
-      acc[category] = [];
-    }
-    acc[category].push(instruction);
-    return acc;
-  }, {});
+  const groupedInstructions = useMemo(
+    () =>
+      instructions.reduce((acc, instruction) => {
+        const category = instruction.category || 'Uncategorized';
+        if (!acc[category]) {
+          acc[category] = [];
+        }
+        acc[category].push(instruction);
+        return acc;
+      }, {}),
+    []
+  );
 
   // Add icons for each category
   const categoryIcons = {};
@@ -87,77 +267,71 @@ const App = () => {
     categoryIcons[category] = "📁";  // Default icon for categories
   });
 
-  // Filter instructions based on search query and selected tags
-  const filterInstructions = useCallback(() => {
-    return instructions.filter((instruction) => {
-      const category = instruction.category || '';
-      const subcategories = instruction.subcategories || [];
-      const content = instruction.content || '';
+  // Instructions matching the category page, search query and selected tags, before
+  // facets. With a query, results come from the search index ordered by relevance.
+  const matchInstructions = useCallback(() => {
+    const matches = searchQuery.trim()
+      ? searchInstructions(searchIndex, instructions, searchQuery).map(({ instruction }) => instruction)
+      : instructions;
 
-      // Check if favorites filter is active
-      if (selectedTags.includes('favorites') && !favoriteInstructions.includes(instruction.filename)) {
+    return matches.filter((instruction) => {
+      if (selectedCategory && (instruction.category || 'Uncategorized') !== selectedCategory) {
         return false;
       }
 
-      const matchesSearch =
-        category.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        subcategories.some((subcategory) =>
-          subcategory.toLowerCase().includes(searchQuery.toLowerCase())
-        ) ||
-        content.toLowerCase().includes(searchQuery.toLowerCase());
+      // Check if favorites filter is active
+      if (selectedTags.includes('favorites') && !favoriteInstructions.includes(instruction.id)) {
+        return false;
+      }
 
-      const matchesTags =
+      return (
         selectedTags.length === 0 ||
-        selectedTags.every((tag) => tag === 'favorites' || (instruction.tags || []).includes(tag));
-
-      return matchesSearch && matchesTags;
+        selectedTags.every((tag) => tag === 'favorites' || (instruction.tags || []).includes(tag))
+      );
     });
-  }, [searchQuery, selectedTags, favoriteInstructions]);
+  }, [selectedCategory, searchQuery, selectedTags, favoriteInstructions]);
+
+  const filterInstructions = useCallback(
+    () => matchInstructions().filter((instruction) => matchesFacets(instruction, facetFilters, { taxonomy })),
+    [matchInstructions, facetFilters]
+  );
+
+  // Live counts for the facet sidebar, over the search and tag matches
+  const facetCounts = useMemo(
+    () => countFacetValues(matchInstructions(), facetFilters, { taxonomy }),
+    [matchInstructions, facetFilters]
+  );
+
+  const filteredInstructions = useMemo(() => filterInstructions(), [filterInstructions]);
+  const visibleInstructions = filteredInstructions.slice(0, page * PAGE_SIZE);
+  const hasMore = visibleInstructions.length < filteredInstructions.length;
 
   // Load more instructions for infinite scroll
   const loadMoreInstructions = () => {
-    const filtered = selectedCategory ? groupedInstructions[selectedCategory] : filterInstructions();
-    const nextPage = page + 1;
-    const startIndex = (nextPage - 1) * PAGE_SIZE;
-    const newInstructions = filtered.slice(startIndex, startIndex + PAGE_SIZE);
-
-    setVisibleInstructions((prev) => [...prev, ...newInstructions]);
-    setPage(nextPage);
-    setHasMore(startIndex + PAGE_SIZE < filtered.length);
+    setPage((prev) => prev + 1);
   };
 
   // Debounced search handler
-  const handleSearch = debounce((searchQuery) => {
-    // If searchQuery is an array, join it into a string
-    const query = Array.isArray(searchQuery) ? searchQuery.join(" ") : searchQuery;
+  const handleSearch = debounce((query) => {
     setSearchQuery(query);
     setPage(1);
-    setVisibleInstructions([]);
-    setHasMore(true);
   }, 300);
 
-  // Reset visible instructions when search or tags change
-  useEffect(() => {
-    const filtered = filterInstructions();
-    setVisibleInstructions(filtered.slice(0, PAGE_SIZE));
-    setPage(1);
-    setHasMore(filtered.length > PAGE_SIZE);
-  }, [searchQuery, selectedTags, filterInstructions]);
-
   // Handle category selection
   const handleCategoryClick = (category) => {
     setSelectedCategory(category);
-    setVisibleInstructions(groupedInstructions[category].slice(0, PAGE_SIZE));
     setPage(1);
-    setHasMore(groupedInstructions[category].length > PAGE_SIZE);
   };
 
   // Handle back to category view
   const handleBackToCategories = () => {
     setSelectedCategory(null);
-    setVisibleInstructions(filterInstructions().slice(0, PAGE_SIZE));
     setPage(1);
-    setHasMore(filterInstructions().length > PAGE_SIZE);
+  };
+
+  const handleFacetToggle = (facetId, value) => {
+    setFacetFilters((prev) => toggleFacetValue(prev, facetId, value));
+    setPage(1);
   };
 
   // Toggle a tag in the selected tags list
@@ -167,251 +341,235 @@ const App = () => {
         ? prevTags.filter((t) => t !== tag)
         : [...prevTags, tag]
     );
+    setPage(1);
+  };
+
+  // Remember the upstream version the user relied on, to flag later changes
+  const recordSnapshot = (instruction) => {
+    setSnapshots((prev) => {
+      const newSnapshots = {
+        ...prev,
+        [instruction.id]: {
+          hash: instruction.contentHash,
+          content: instruction.content,
+          usedAt: new Date().toISOString(),
+        },
+      };
+      saveInstructionSnapshots(newSnapshots);
+      return newSnapshots;
+    });
   };
 
-  // Handle copy to clipboard
-  const handleCopy = () => {
-    navigator.clipboard.writeText(selectedInstruction.content).then(() => {
+  // Handle copy to clipboard; the modal passes the text as shown, including the user's edits
+  const handleCopy = (content = selectedInstruction.content) => {
+    recordSnapshot(selectedInstruction);
+    navigator.clipboard.writeText(content).then(() => {
       setIsCopied(true); // Set copied state to true
       setTimeout(() => setIsCopied(false), 2000); // Reset after 2 seconds
     });
   };
 
-  // Handle starting a conversation with a selected website
-  const handleStartConversation = (website, instructionContent) => {
-    // Update AI tool usage stat
+  // Record which tool was used; the most used one becomes the Quick Action
+  const recordToolUsage = (toolName) => {
     setToolUsageStats((prevStats) => {
       const newStats = {
         ...prevStats,
-        [website]: (prevStats[website] || 0) + 1,
+        [toolName]: (prevStats[toolName] || 0) + 1,
       };
       saveToolUsageStats(newStats);
       return newStats;
     });
+  };
 
-    // Copy the system instruction to the clipboard
-    navigator.clipboard.writeText(instructionContent).then(() => {
+  // Open an AI tool with the instruction; the text is also copied in case the tool ignores the URL
+  const openInTool = (tool, instruction, content) => {
+    recordToolUsage(tool.name);
+    recordSnapshot(instruction);
+    // Open before any await so the browser does not treat it as a popup
+    window.open(buildToolUrl(tool, instruction, content), '_blank', 'noopener');
+    navigator.clipboard.writeText(content).then(() => {
       setIsCopied(true);
       setTimeout(() => setIsCopied(false), 2000);
     });
+  };
 
-    // Find the tool URL from ai-tools.json
-    const predefinedTool = aiTools.tools.find(tool => tool.name === website);
+  // Handle starting a conversation from the modal, with the text as edited there
+  const handleStartConversation = (toolName, instructionContent) => {
+    const tool = tools.find(item => item.name === toolName);
+    if (!tool) return;
+    openInTool(tool, selectedInstruction, instructionContent);
+  };
 
-    let url = '';
-    if (predefinedTool) {
-      url = predefinedTool.url;
-    } else {
-      return;
-    }
+  const handleQuickAction = (instruction) => {
+    if (!quickActionTool) return;
+    openInTool(quickActionTool, instruction, fillTemplate(instruction.content, instruction.variables, loadTemplateValues()));
+  };
 
-    window.open(url, '_blank');
+  const showNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(null), 2000);
   };
 
-  // Add new handler for quick action
-  const handleQuickAction = (instruction) => {
-    // Determine the top AI tool (from aiTools)
-    const stats = JSON.parse(localStorage.getItem('toolUsageStats')) || {};
-    const allTools = aiTools.tools;
-    let maxUsage = -1;
-    allTools.forEach(tool => {
-      const usage = stats[tool.name] || 0;
-      if (usage > maxUsage) maxUsage = usage;
-    });
-    const candidates = allTools.filter(tool => (stats[tool.name] || 0) === maxUsage);
-    if (candidates.length === 0) return;
-    const randomIndex = Math.floor(Math.random() * candidates.length);
-    const topTool = candidates[randomIndex];
+  // Copy and download from a shortcut or the palette, with the user's template values
+  const fillInstruction = (instruction) =>
+    fillTemplate(instruction.content, instruction.variables, loadTemplateValues());
 
-    // Update tool usage stat
-    setToolUsageStats((prevStats) => {
-      const newStats = { ...prevStats, [topTool.name]: (prevStats[topTool.name] || 0) + 1 };
-      saveToolUsageStats(newStats);
-      return newStats;
-    });
+  const copyInstruction = (instruction) => {
+    recordSnapshot(instruction);
+    navigator.clipboard
+      .writeText(fillInstruction(instruction))
+      .then(() => showNotice(`Copied ${instruction.title || instruction.filename}`));
+  };
 
-    // Copy the instruction content to clipboard and then open the tool's URL
-    navigator.clipboard.writeText(instruction.content).then(() => {
-      const predefinedTool = aiTools.tools.find(tool => tool.name === topTool.name);
-      let url = '';
-      if (predefinedTool) {
-        url = predefinedTool.url;
-      }
-      if (url) {
-        window.open(url, '_blank');
-      }
-    });
+  const downloadInstruction = (instruction) => {
+    exportInstructions('copilot', [{ ...instruction, content: fillInstruction(instruction) }]).forEach((file) =>
+      downloadFile(file.path.split('/').pop(), file.content)
+    );
   };
 
-  // Optimized reference data fetching
-  useEffect(() => {
-    const fetchReferences = async () => {
-      const cachedData = loadReferencesData();
-      const newReferencesData = [];
-      // Iterate over each reference item, supporting both string and object types
-      for (const ref of references) {
-        const actualUrl = typeof ref === 'object' ? ref.url : ref; // use ref.url if ref is an object
-        if (cachedData[actualUrl]) {
-          newReferencesData.push(cachedData[actualUrl]);
-          continue;
-        }
-        try {
-          const proxyUrl = `https://corsproxy.io/${actualUrl}`;
-          const response = await axios.get(proxyUrl);
-          const $ = load(response.data);
-          const title = $('title').text().split('|')[0].trim() || 'No Title';
-          let description = $('meta[name="description"]').attr('content');
-          if (!description) {
-            const firstPara = $('p').first().text();
-            const sentences = firstPara.match(/[^.!?]+[.!?]+/g) || [];
-            description = sentences.slice(0, 2).join(' ').trim();
-          }
-          const source = new URL(actualUrl).hostname
-            .replace('www.', '')
-            .split('.')
-            .slice(0, -1)
-            .join('.');
-          const referenceData = {
-            title,
-            description: description || 'No description available.',
-            url: actualUrl,
-            source
-          };
-          cachedData[actualUrl] = referenceData;
-          newReferencesData.push(referenceData);
-        } catch (error) {
-          console.error(`Error fetching data from ${actualUrl}:`, error);
-          const errorData = {
-            title: 'Error loading resource',
-            description: 'Unable to fetch content. Please check the original source.',
-            url: actualUrl,
-            source: new URL(actualUrl).hostname.replace('www.', '')
-          };
-          cachedData[actualUrl] = errorData;
-          newReferencesData.push(errorData);
-        }
-      }
-      saveReferencesData(cachedData);
-      setReferencesData(newReferencesData);
-    };
-    fetchReferences();
+  const handleChangeTools = (nextTools) => {
+    saveCustomTools(nextTools);
+    setCustomTools(nextTools);
+  };
+
+  const applyStoredState = useCallback((state) => {
+    setIsDarkMode(state.darkMode);
+    setUsageStats(state.instructionUsageStats);
+    setToolUsageStats(state.toolUsageStats);
+    setCustomTools(state.customTools);
+    setFavoriteInstructions(state.favoriteInstructions);
+    setBundleIds(state.bundleInstructions);
+    setSnapshots(state.instructionSnapshots);
+    setCollections(state.instructionCollections);
   }, []);
 
-  // Enhanced URL parameter handling
-  useEffect(() => {
-    const handleUrlParams = () => {
-      const params = new URLSearchParams(window.location.search);
-      const sharedInstructionName = params.get('instruction');
-
-      if (sharedInstructionName) {
-        const instructionToShow = instructions.find(p => p.filename === decodeURIComponent(sharedInstructionName));
-        if (instructionToShow) {
-          setSelectedInstruction(instructionToShow);
-        }
-      }
-    };
+  // Write an imported file, then pick up the result from storage like on load
+  const handleImportData = (data, mode) => {
+    importPersonalData(data, mode);
+    const state = loadStoredState();
+    saveDarkMode(state.darkMode);
+    applyStoredState(state);
+  };
 
-    // Handle initial load and browser back/forward
-    handleUrlParams();
-    window.addEventListener('popstate', handleUrlParams);
+  // After hydrating, catch up with what this browser has stored
+  useEffect(() => {
+    if (hydratingPath === null) return;
+    applyStoredState(loadStoredState());
+    setHydratingPath(null);
+  }, [hydratingPath, applyStoredState]);
 
-    return () => window.removeEventListener('popstate', handleUrlParams);
+  // Drop the reference cache left by older versions, which scraped the pages in the browser
+  useEffect(() => {
+    clearReferencesData();
   }, []);
 
-  // Update URL when modal opens/closes
+  // Keep the URL in step with the view. Navigating adds a history entry; the first
+  // update only tidies the URL the page was opened with.
+  const hasWrittenLocation = useRef(false);
   useEffect(() => {
-    const url = new URL(window.location);
+    const url = buildLocation({
+      category: selectedCategory,
+      tags: selectedTags,
+      query: searchQuery,
+      facetFilters,
+      instruction: selectedInstruction,
+      compareIds: showCompare ? compareIds : null,
+      sharedCollection,
+    });
+    const isFirstUpdate = !hasWrittenLocation.current;
+    hasWrittenLocation.current = true;
+    // A hydrated page has yet to apply the query string; that tidies the URL below
+    if (isFirstUpdate && hydratingPath !== null) return;
 
-    if (selectedInstruction) {
-      url.searchParams.set('instruction', encodeURIComponent(selectedInstruction.filename));
+    // Only update if URL actually changed to avoid unnecessary history entries
+    if (url.href === window.location.href) return;
+    if (isFirstUpdate || differsOnlyInQuery(url)) {
+      window.history.replaceState(window.history.state, '', url);
     } else {
-      url.searchParams.delete('instruction');
+      // Store the scroll position of the entry being left before adding the new one.
+      // Panels open on top of the list keep its pages loaded.
+      recordScroll.flush();
+      window.history.pushState({ page: window.history.state?.page }, '', url);
     }
+  }, [selectedCategory, selectedTags, searchQuery, facetFilters, selectedInstruction, showCompare, compareIds, sharedCollection, hydratingPath]);
 
-    // Only update if URL actually changed to avoid unnecessary history entries
-    if (url.toString() !== window.location.href) {
-      window.history.pushState({}, '', url);
-    }
-  }, [selectedInstruction]);
+  useEffect(() => {
+    window.history.replaceState({ ...window.history.state, page }, '');
+  }, [page]);
 
-  // Handle modal close via browser back button
   useEffect(() => {
-    const handlePopState = () => {
-      if (!new URLSearchParams(window.location.search).has('instruction')) {
-        setSelectedInstruction(null);
-      }
+    const handleScroll = () => {
+      if (document.body.style.position !== 'fixed') recordScroll(window.scrollY);
     };
-
-    window.addEventListener('popstate', handlePopState);
-    return () => window.removeEventListener('popstate', handlePopState);
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  // Update URL with selected filters - move outside component or memoize
-  const updateUrlWithFilters = useCallback(() => {
-    if (!window.history.pushState) return; // Guard against SSR
+  // Browser Back and Forward: restore the whole view from the URL, with as many
+  // pages loaded and the list scrolled as far as when it was left
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+
+    const showLocation = (historyState) => {
+      const location = readLocation();
+      const { page: restoredPage = 1, scrollY = 0 } = historyState || {};
+      setSelectedCategory(location.category);
+      setSelectedTags(location.tags);
+      setSearchQuery(location.query);
+      setSearchBarKey((prev) => prev + 1);
+      setFacetFilters(location.facetFilters);
+      setSelectedInstruction(location.instruction);
+      setShowChangesOnOpen(false);
+      if (location.compareIds) {
+        setCompareIds(location.compareIds);
+      }
+      setShowCompare(Boolean(location.compareIds));
+      setSharedCollection(location.sharedCollection);
+      setPage(restoredPage);
+      // A panel in front keeps the list where it is
+      if (!location.instruction && !location.compareIds && !location.sharedCollection) {
+        setRestoredScrollY(scrollY);
+      }
+      // Older entries, such as /?tags=react, get the same URL as on load
+      window.history.replaceState(historyState, '', buildLocation(location));
+    };
+    const handlePopState = (e) => showLocation(e.state);
 
-    const url = new URL(window.location);
-    if (selectedTags.length > 0) {
-      url.searchParams.set('tags', selectedTags.join(','));
-    } else {
-      url.searchParams.delete('tags');
+    // A hydrated page shows the rest of its URL, and returns to where it was on a reload
+    if (hydratingPath !== null) {
+      showLocation(initialHistoryState);
     }
 
-    // Only update if URL actually changed
-    if (url.toString() !== window.location.href) {
-      window.history.pushState({}, '', url);
-    }
-  }, [selectedTags]);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [hydratingPath, initialHistoryState]);
 
-  // Separate effect for URL updates and hero visibility
+  // Scroll once the restored pages are rendered
   useEffect(() => {
-    updateUrlWithFilters();
-  }, [selectedTags, updateUrlWithFilters]);
+    if (restoredScrollY === null) return;
+    window.scrollTo(0, restoredScrollY);
+    setRestoredScrollY(null);
+  }, [restoredScrollY]);
 
   // Separate effect for hero visibility
   useEffect(() => {
-    setShowHero(!selectedCategory && selectedTags.length === 0);
-  }, [selectedCategory, selectedTags]);
-
-  // Handle initial URL params - only run once on mount
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const categoryParam = params.get('category');
-    const tagsParam = params.get('tags');
-
-    if (categoryParam && groupedInstructions[categoryParam]) {
-      setSelectedCategory(categoryParam);
-      setVisibleInstructions(groupedInstructions[categoryParam].slice(0, PAGE_SIZE) || []);
-    }
-
-    if (tagsParam) {
-      const tags = tagsParam.split(',');
-      setSelectedTags(tags);
-    }
-  }, []); // Removed [groupedInstructions]
+    setShowHero(!selectedCategory && selectedTags.length === 0 && !hasFacetFilters(facetFilters));
+  }, [selectedCategory, selectedTags, facetFilters]);
 
   // Determine whether to show the category list or filtered instructions
-  const showCategoryList = !searchQuery && selectedTags.length === 0 && !selectedCategory;
+  const showCategoryList = !searchQuery && selectedTags.length === 0 && !hasFacetFilters(facetFilters) && !selectedCategory;
 
   const getFilterShareContent = () => {
     if (selectedTags.length === 0) return '';
     return `Check out these instructions with tags: ${selectedTags.join(', ')} from The Instruction Collection`;
   };
 
-  // Get total number of filtered instructions
-  const getTotalFilteredInstructions = useCallback(() => {
-    if (selectedCategory) {
-      return groupedInstructions[selectedCategory]?.length || 0;
-    }
-    return filterInstructions().length;
-  }, [selectedCategory, filterInstructions, groupedInstructions]);
-
   // Helper function that increments the count of an instruction and updates localStorage
   const handleSelectInstruction = (instruction) => {
     setUsageStats((prevStats) => {
       const newStats = {
         ...prevStats,
-        [instruction.filename]: (prevStats[instruction.filename] || 0) + 1,
+        [instruction.id]: (prevStats[instruction.id] || 0) + 1,
       };
       saveInstructionUsageStats(newStats);
       return newStats;
@@ -419,32 +577,254 @@ const App = () => {
     setSelectedInstruction(instruction);
   };
 
+  // Instructions whose upstream content changed since the user copied or favorited them
+  const changedInstructionIds = Object.entries(snapshots)
+    .filter(([id, snapshot]) => {
+      const instruction = instructions.find(p => p.id === id);
+      return instruction && instruction.contentHash && snapshot.hash !== instruction.contentHash;
+    })
+    .map(([id]) => id);
+
+  const handleShowChanges = (instruction) => {
+    setShowChangesOnOpen(true);
+    handleSelectInstruction(instruction);
+  };
+
   // Compute top 5 frequently used instructions from usageStats
   const topInstructions = Object.entries(usageStats)
     .sort(([, countA], [, countB]) => countB - countA)
     .slice(0, 5)
-    .map(([filename, count]) => {
-      const instruction = instructions.find(p => p.filename === filename);
+    .map(([id, count]) => {
+      const instruction = instructions.find(p => p.id === id);
       return instruction ? { ...instruction, usageCount: count } : null;
     })
     .filter(instruction => instruction);
 
   const handleToggleFavorite = (instruction) => {
+    if (!favoriteInstructions.includes(instruction.id)) {
+      recordSnapshot(instruction);
+    }
     setFavoriteInstructions((prev) => {
-      const isFavorite = prev.includes(instruction.filename);
+      const isFavorite = prev.includes(instruction.id);
       const newFavorites = isFavorite
-        ? prev.filter(filename => filename !== instruction.filename)
-        : [...prev, instruction.filename];
+        ? prev.filter(id => id !== instruction.id)
+        : [...prev, instruction.id];
       saveFavoriteInstructions(newFavorites);
       return newFavorites;
     });
   };
 
+  const updateBundle = (update) => {
+    setBundleIds((prev) => {
+      const newBundle = update(prev);
+      saveBundleInstructions(newBundle);
+      return newBundle;
+    });
+  };
+
+  const handleToggleBundle = (instruction) => {
+    updateBundle((prev) =>
+      prev.includes(instruction.id)
+        ? prev.filter(id => id !== instruction.id)
+        : [...prev, instruction.id]
+    );
+  };
+
+  // Up to MAX_COMPARED instructions; closing the comparison once fewer than two are left
+  const handleToggleCompare = (instruction) => {
+    const next = compareIds.includes(instruction.id)
+      ? compareIds.filter(id => id !== instruction.id)
+      : [...compareIds, instruction.id].slice(0, MAX_COMPARED);
+    setCompareIds(next);
+    if (next.length < 2) setShowCompare(false);
+  };
+
+  const handleChangeCollections = (nextCollections) => {
+    saveCollections(nextCollections);
+    setCollections(nextCollections);
+  };
+
+  const handleToggleInCollection = (collectionId, instruction) => {
+    handleChangeCollections(
+      collections.map((collection) =>
+        collection.id === collectionId ? toggleInCollection(collection, instruction.id) : collection
+      )
+    );
+  };
+
+  const handleCreateCollection = (name, instruction) => {
+    const collection = createCollection(uniqueCollectionName(name, collections), [{ id: instruction.id, note: '' }]);
+    handleChangeCollections([...collections, collection]);
+  };
+
+  // Copy a shared collection into the user's own and switch to editing it
+  const handleCloneSharedCollection = () => {
+    const collection = createCollection(
+      uniqueCollectionName(sharedCollection.name, collections),
+      sharedCollection.items.map((item) => ({ ...item }))
+    );
+    handleChangeCollections([...collections, collection]);
+    setSharedCollection(null);
+    setOpenCollectionId(collection.id);
+    setShowCollections(true);
+  };
+
+  const handleAddToBundle = (added) => {
+    updateBundle((prev) => [...prev, ...added.map(instruction => instruction.id).filter(id => !prev.includes(id))]);
+  };
+
+  const handleMoveBundleItem = (index, direction) => {
+    updateBundle((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const bundleInstructions = bundleIds
+    .map(id => instructions.find(p => p.id === id))
+    .filter(instruction => instruction);
+
+  // Ids from a shared link may no longer exist
+  const comparedInstructions = compareIds
+    .map(id => instructions.find(p => p.id === id))
+    .filter(instruction => instruction);
+
+  const openCommandPalette = () => {
+    setPaletteInstruction(selectedInstruction || findInstruction(instructions, focusedInstructionId()));
+    setShowCommandPalette(true);
+  };
+
+  // Escape closes the window in front, in the reverse of the order they are rendered in
+  const closeTopPanel = () => {
+    if (showSettings) {
+      setShowSettings(false);
+    } else if (selectedInstruction) {
+      setSelectedInstruction(null);
+      setShowChangesOnOpen(false);
+    } else if (showCollections || sharedCollection) {
+      setShowCollections(false);
+      setSharedCollection(null);
+    } else if (showCompare) {
+      setShowCompare(false);
+    } else if (showStackDetector) {
+      setShowStackDetector(false);
+    }
+  };
+
+  // Keyboard shortcuts, listed in utils/shortcuts.js. The palette and the shortcut
+  // list handle their own keys, and the instruction window handles c and f.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (showCommandPalette) {
+          setShowCommandPalette(false);
+        } else {
+          openCommandPalette();
+        }
+        return;
+      }
+      if (showCommandPalette) return;
+      if (e.key === 'Escape') {
+        if (isTypingTarget(e.target)) {
+          e.target.blur();
+        } else {
+          closeTopPanel();
+        }
+        return;
+      }
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+
+      const isPanelOpen =
+        selectedInstruction || showCompare || showCollections || sharedCollection || showSettings || showStackDetector;
+      const focusedInstruction = findInstruction(instructions, focusedInstructionId());
+      if (e.key === '?') {
+        setShowShortcutHelp(true);
+      } else if (isPanelOpen) {
+        return;
+      } else if (e.key === '/') {
+        // The search box is hidden on tag pages
+        if (searchInputRef.current) {
+          searchInputRef.current.focus();
+        } else {
+          openCommandPalette();
+        }
+      } else if (e.key === 'j' || e.key === 'k') {
+        moveListFocus(e.key === 'j' ? 1 : -1);
+      } else if (e.key === 'f' && focusedInstruction) {
+        handleToggleFavorite(focusedInstruction);
+        showNotice(
+          `${favoriteInstructions.includes(focusedInstruction.id) ? 'Removed from' : 'Added to'} favorites: ${
+            focusedInstruction.title || focusedInstruction.filename
+          }`
+        );
+      } else if (e.key === 'c' && focusedInstruction) {
+        copyInstruction(focusedInstruction);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const getPaletteActions = () => {
+    const instruction = paletteInstruction;
+    const name = instruction && (instruction.title || instruction.filename);
+    const instructionActions = instruction
+      ? [
+          { id: 'copy', label: `Copy ${name}`, keys: ['c'], run: () => copyInstruction(instruction) },
+          {
+            id: 'favorite',
+            label: favoriteInstructions.includes(instruction.id)
+              ? `Remove ${name} from favorites`
+              : `Add ${name} to favorites`,
+            keys: ['f'],
+            run: () => handleToggleFavorite(instruction),
+          },
+          {
+            id: 'download',
+            label: `Download ${name} as copilot-instructions.md`,
+            run: () => downloadInstruction(instruction),
+          },
+        ]
+      : [];
+    return [
+      ...instructionActions,
+      { id: 'theme', label: isDarkMode ? 'Switch to the light theme' : 'Switch to the dark theme', run: toggleDarkMode },
+      {
+        id: 'collections',
+        label: 'Open my collections',
+        run: () => {
+          setOpenCollectionId(null);
+          setShowCollections(true);
+        },
+      },
+      { id: 'stack', label: 'Detect your stack', run: () => setShowStackDetector(true) },
+      { id: 'settings', label: 'Open settings', run: () => setShowSettings(true) },
+      { id: 'shortcuts', label: 'Show keyboard shortcuts', keys: ['?'], run: () => setShowShortcutHelp(true) },
+    ];
+  };
+
+  // Jumping to a list from the palette closes whatever is open over it
+  const closeOverlays = () => {
+    setSelectedInstruction(null);
+    setShowChangesOnOpen(false);
+    setShowCompare(false);
+    setSharedCollection(null);
+    setShowCollections(false);
+  };
+
   // Get favorite instructions data - updated to sort by usage count
   const favoritesData = favoriteInstructions
-    .map(filename => {
-      const instruction = instructions.find(p => p.filename === filename);
-      return instruction ? { ...instruction, usageCount: usageStats[filename] || 0 } : null;
+    .map(id => {
+      const instruction = instructions.find(p => p.id === id);
+      return instruction ? { ...instruction, usageCount: usageStats[id] || 0 } : null;
     })
     .filter(instruction => instruction)
     .sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0)) // Sort by usage count
@@ -453,7 +833,16 @@ const App = () => {
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <div className="container mx-auto p-4">
-        <Header isDarkMode={isDarkMode} onToggleDarkMode={toggleDarkMode} />
+        <Header
+          isDarkMode={isDarkMode}
+          onToggleDarkMode={toggleDarkMode}
+          onOpenCommandPalette={openCommandPalette}
+          onOpenCollections={() => {
+            setOpenCollectionId(null);
+            setShowCollections(true);
+          }}
+          onOpenSettings={() => setShowSettings(true)}
+        />
 
         {showHero && (
           <div className="flex flex-col items-center justify-center py-16 space-y-8">
@@ -470,15 +859,24 @@ const App = () => {
 
         {/* Search and Filters Section - Show search only when no filters are active */}
         <div className={`flex flex-col items-center justify-center ${showHero ? '' : 'py-2'} ${selectedTags.length > 0 ? 'space-y-2' : 'space-y-4'}`}>
-          {(!selectedCategory && selectedTags.length === 0) && (
+          {(selectedTags.length === 0 || searchQuery) && (
             <div className="w-full max-w-2xl mx-auto">
-              <SearchBar onSearch={handleSearch} />
+              <SearchBar key={searchBarKey} initialQuery={searchQuery} inputRef={searchInputRef} onSearch={handleSearch} />
+              <div className="text-center mt-2">
+                <button
+                  onClick={() => setShowStackDetector(true)}
+                  className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Not sure where to start? Detect your stack from package.json, go.mod and more
+                </button>
+              </div>
             </div>
           )}
 
           <div className="w-full mx-auto space-y-0">  {/* reduced spacing from space-y-1 to space-y-0 */}
             <TagFilter
               tags={visibleTags}
+              taxonomy={taxonomy}
               selectedTags={selectedTags}
               onTagToggle={handleTagToggle}
               showAllTags={showAllTags}
@@ -496,42 +894,162 @@ const App = () => {
                 favoriteInstructions={favoritesData}
                 handleSelectInstruction={handleSelectInstruction}
                 onRemoveFavorite={(instruction) => handleToggleFavorite(instruction)}
+                changedInstructionIds={changedInstructionIds}
+                onShowChanges={handleShowChanges}
               />
             )}
           </div>
         </div>
 
-        {/* Instructions List with full width */}
-        <div className={`w-full ${(!showHero && (selectedCategory || selectedTags.length > 0)) ? 'mt-1' : 'mt-4'}`}>
-          <InstructionList
-            instructions={visibleInstructions}
-            loadMoreInstructions={loadMoreInstructions}
-            hasMore={hasMore}
-            onSelectInstruction={handleSelectInstruction}
-            onQuickAction={handleQuickAction} // pass quick action handler
-            selectedCategory={selectedCategory}
-            onCategoryClick={handleCategoryClick}
-            onBackToCategories={handleBackToCategories}
-            groupedInstructions={groupedInstructions}
-            categoryIcons={categoryIcons}  // <-- new prop for icons
-            showCategoryList={showCategoryList}
-            totalInstructions={totalInstructions}
-            totalFilteredInstructions={getTotalFilteredInstructions()}
+        {/* Instructions list, with the facet sidebar beside it */}
+        <div className={`w-full flex flex-col lg:flex-row gap-4 ${(!showHero && (selectedCategory || selectedTags.length > 0)) ? 'mt-1' : 'mt-4'}`}>
+          <FacetSidebar
+            facetCounts={facetCounts}
+            filters={facetFilters}
+            onToggle={handleFacetToggle}
+            onClear={() => {
+              setFacetFilters({});
+              setPage(1);
+            }}
           />
+          <div className="flex-1 min-w-0">
+            <InstructionList
+              instructions={visibleInstructions}
+              loadMoreInstructions={loadMoreInstructions}
+              hasMore={hasMore}
+              onSelectInstruction={handleSelectInstruction}
+              onQuickAction={handleQuickAction} // pass quick action handler
+              quickActionTool={quickActionTool}
+              selectedCategory={selectedCategory}
+              onCategoryClick={handleCategoryClick}
+              onBackToCategories={handleBackToCategories}
+              groupedInstructions={groupedInstructions}
+              categoryIcons={categoryIcons}  // <-- new prop for icons
+              showCategoryList={showCategoryList}
+              totalInstructions={totalInstructions}
+              totalFilteredInstructions={filteredInstructions.length}
+              bundleIds={bundleIds}
+              onToggleBundle={handleToggleBundle}
+              compareIds={compareIds}
+              onToggleCompare={handleToggleCompare}
+              onOpenCompare={() => setShowCompare(true)}
+              onClearCompare={() => setCompareIds([])}
+              changedInstructionIds={changedInstructionIds}
+              onShowChanges={handleShowChanges}
+            />
+          </div>
         </div>
 
-        <ReferencesSection referencesData={referencesData} />
+        <ReferencesSection />
+        {/* Rendered before the instruction modal so that one opens on top of it */}
+        {showStackDetector && (
+          <StackDetector
+            instructions={instructions}
+            bundleIds={bundleIds}
+            onToggleBundle={handleToggleBundle}
+            onAddToBundle={handleAddToBundle}
+            onSelectInstruction={handleSelectInstruction}
+            onClose={() => setShowStackDetector(false)}
+          />
+        )}
+        {showCompare && comparedInstructions.length >= 2 && (
+          <CompareView
+            instructions={comparedInstructions}
+            onRemove={handleToggleCompare}
+            onSelectInstruction={handleSelectInstruction}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
+        {(showCollections || sharedCollection) && (
+          <CollectionsPanel
+            key={sharedCollection ? 'shared' : openCollectionId || 'own'}
+            collections={collections}
+            shared={sharedCollection}
+            initialCollectionId={openCollectionId}
+            instructions={instructions}
+            onChangeCollections={handleChangeCollections}
+            onCloneShared={handleCloneSharedCollection}
+            onSelectInstruction={handleSelectInstruction}
+            onClose={() => {
+              setShowCollections(false);
+              setSharedCollection(null);
+            }}
+          />
+        )}
         {selectedInstruction && (
           <SelectedInstructionModal
             selectedInstruction={selectedInstruction}
-            onClose={() => setSelectedInstruction(null)}
+            onClose={() => {
+              setSelectedInstruction(null);
+              setShowChangesOnOpen(false);
+            }}
             onCopy={handleCopy}
             isCopied={isCopied}
             onStartConversation={handleStartConversation}
-            isFavorite={favoriteInstructions.includes(selectedInstruction.filename)}
+            tools={tools}
+            isFavorite={favoriteInstructions.includes(selectedInstruction.id)}
             onToggleFavorite={() => handleToggleFavorite(selectedInstruction)}
+            isInBundle={bundleIds.includes(selectedInstruction.id)}
+            onToggleBundle={() => handleToggleBundle(selectedInstruction)}
+            collections={collections}
+            onToggleCollection={(collectionId) => handleToggleInCollection(collectionId, selectedInstruction)}
+            onCreateCollection={(name) => handleCreateCollection(name, selectedInstruction)}
+            similarInstructions={(selectedInstruction.similar || [])
+              .map(({ id, score, sharedSections }) => {
+                const instruction = findInstruction(instructions, id);
+                return instruction ? { ...instruction, score, sharedSections } : null;
+              })
+              .filter(instruction => instruction)}
+            onSelectInstruction={handleSelectInstruction}
+            upstreamSnapshot={changedInstructionIds.includes(selectedInstruction.id) ? snapshots[selectedInstruction.id] : null}
+            showChangesOnOpen={showChangesOnOpen}
+            onAcknowledgeChanges={() => recordSnapshot(selectedInstruction)}
+          />
+        )}
+        {showSettings && (
+          <SettingsPanel
+            customTools={customTools}
+            onChangeTools={handleChangeTools}
+            onImportData={handleImportData}
+            onClose={() => setShowSettings(false)}
           />
         )}
+        {showCommandPalette && (
+          <CommandPalette
+            instructions={instructions}
+            searchIndex={searchIndex}
+            categories={Object.entries(groupedInstructions).map(([name, items]) => ({ name, count: items.length }))}
+            tags={sortedTags.map((name) => ({ name, count: tagCounts[name] }))}
+            actions={getPaletteActions()}
+            onSelectInstruction={handleSelectInstruction}
+            onSelectCategory={(category) => {
+              closeOverlays();
+              handleCategoryClick(category);
+            }}
+            onSelectTag={(tag) => {
+              closeOverlays();
+              setSelectedCategory(null);
+              setSelectedTags([tag]);
+              setPage(1);
+            }}
+            onClose={() => setShowCommandPalette(false)}
+          />
+        )}
+        {showShortcutHelp && <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />}
+        {notice && (
+          <div
+            role="status"
+            className="fixed bottom-16 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-lg shadow-lg bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 text-sm"
+          >
+            {notice}
+          </div>
+        )}
+        <BundleBuilder
+          instructions={bundleInstructions}
+          onRemove={handleToggleBundle}
+          onMove={handleMoveBundleItem}
+          onClear={() => updateBundle(() => [])}
+        />
         <Footer />
       </div>
     </div>
@@ -0,0 +1,17 @@
+import React from 'react';
+import App from './App';
+import UpdatePrompt from './components/UpdatePrompt/UpdatePrompt';
+import { Analytics } from "@vercel/analytics/react";
+import { SpeedInsights } from "@vercel/speed-insights/react";
+
+// The whole page, as main.jsx renders it in the browser and entry-server.jsx when pre-rendering
+const Root = () => (
+  <React.StrictMode>
+    <Analytics/>
+    <SpeedInsights/>
+    <App />
+    <UpdatePrompt />
+  </React.StrictMode>
+);
+
+export default Root;
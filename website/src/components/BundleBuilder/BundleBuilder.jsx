@@ -0,0 +1,161 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Layers, X, ArrowUp, ArrowDown, Trash2, Download, Copy, Check } from 'lucide-react';
+import { buildBundle, BUNDLE_FILENAME } from '../../utils/bundle';
+import { downloadFile } from '../../utils/download';
+import { loadTemplateValues } from '../../utils/localStorage';
+import ExportMenu from '../ExportMenu/ExportMenu';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+const BundlePanel = ({ instructions, onRemove, onMove, onClear, onClose }) => {
+  const [isCopied, setIsCopied] = useState(false);
+  // Placeholders get the values remembered from the instruction window
+  const bundle = useMemo(() => buildBundle(instructions, loadTemplateValues()), [instructions]);
+
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(bundle).then(() => {
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start sm:items-center justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-5xl p-3 sm:p-6 overflow-hidden shadow-2xl animate-modal-entry">
+          <div className="flex justify-between items-center border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <Layers className="w-5 h-5" />
+              Instruction Bundle ({instructions.length})
+            </h2>
+            <button
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+              onClick={onClose}
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 pt-4">
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 md:col-span-1">
+              {instructions.map((instruction, index) => (
+                <li key={instruction.id} className="py-2 flex items-center gap-2 text-gray-900 dark:text-gray-100">
+                  <span className="flex-1 text-sm truncate" title={instruction.id}>
+                    {instruction.title || instruction.filename}
+                  </span>
+                  <button
+                    onClick={() => onMove(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                    title="Move up"
+                  >
+                    <ArrowUp size={16} />
+                  </button>
+                  <button
+                    onClick={() => onMove(index, 1)}
+                    disabled={index === instructions.length - 1}
+                    className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                    title="Move down"
+                  >
+                    <ArrowDown size={16} />
+                  </button>
+                  <button
+                    onClick={() => onRemove(instruction)}
+                    className="p-1 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400 rounded"
+                    title="Remove from bundle"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <textarea
+              className="md:col-span-2 w-full p-2 border border-gray-300 rounded bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100 font-mono text-xs"
+              value={bundle}
+              readOnly
+              rows={window.innerWidth < 640 ? 10 : 20}
+            />
+          </div>
+
+          <div className="mt-4 border-t dark:border-gray-700 pt-4 flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Matching sections are merged and duplicate rules removed. Save the file as <code>.github/{BUNDLE_FILENAME}</code>.
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={onClear}
+                className="px-3 py-2 text-sm rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                Clear
+              </button>
+              <ExportMenu
+                instructions={instructions}
+                className="px-3 py-2 text-sm rounded text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              />
+              <button
+                onClick={handleCopy}
+                className={`px-3 py-2 text-sm ${isCopied ? "bg-green-500" : "bg-blue-500"} text-white rounded hover:bg-blue-600 flex items-center gap-2`}
+              >
+                {isCopied ? <Check size={16} /> : <Copy size={16} />}
+                {isCopied ? "Copied!" : "Copy"}
+              </button>
+              <button
+                onClick={() => downloadFile(BUNDLE_FILENAME, bundle)}
+                className="px-3 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center gap-2"
+              >
+                <Download size={16} />
+                Download
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const BundleBuilder = ({ instructions, onRemove, onMove, onClear }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Close the panel once the last instruction has been removed
+  useEffect(() => {
+    if (instructions.length === 0) setIsOpen(false);
+  }, [instructions.length]);
+
+  if (instructions.length === 0) return null;
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-2 px-4 py-2 rounded-full bg-purple-600 text-white shadow-lg hover:bg-purple-700"
+      >
+        <Layers size={18} />
+        Bundle ({instructions.length}) · Build copilot-instructions.md
+      </button>
+      {isOpen && (
+        <BundlePanel
+          instructions={instructions}
+          onRemove={onRemove}
+          onMove={onMove}
+          onClear={() => {
+            onClear();
+            setIsOpen(false);
+          }}
+          onClose={() => setIsOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default BundleBuilder;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FolderPlus, Check, Plus } from 'lucide-react';
+
+// Add an instruction to any of the user's collections, or to a new one
+const AddToCollectionMenu = ({ collections, instructionId, onToggle, onCreate }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const menuRef = useRef(null);
+  const count = collections.filter((collection) => collection.items.some((item) => item.id === instructionId)).length;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onCreate(trimmed);
+    setName('');
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`p-2 rounded-full transition-colors duration-200 ${
+          count > 0 ? 'text-blue-500 hover:bg-blue-100' : 'text-gray-400 hover:bg-gray-100'
+        }`}
+        title={count > 0 ? `In ${count} collection${count === 1 ? '' : 's'}` : 'Add to a collection'}
+      >
+        <FolderPlus className="w-5 h-5" />
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 z-10 w-64 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg py-1">
+          <ul className="max-h-60 overflow-y-auto">
+            {collections.map((collection) => {
+              const isIncluded = collection.items.some((item) => item.id === instructionId);
+              return (
+                <li key={collection.id}>
+                  <button
+                    onClick={() => onToggle(collection.id)}
+                    className="w-full text-left px-3 py-1.5 flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    <span className="w-4">{isIncluded && <Check size={14} />}</span>
+                    <span className="flex-1 truncate">{collection.name}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{collection.items.length}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <form onSubmit={handleCreate} className="flex gap-1 px-2 pt-1 border-t border-gray-200 dark:border-gray-700">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New collection"
+              className="flex-1 min-w-0 px-2 py-1 text-sm"
+            />
+            <button type="submit" className="p-1 text-blue-600 dark:text-blue-400 rounded" title="Create and add">
+              <Plus size={16} />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToCollectionMenu;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { FolderOpen, X, ArrowUp, ArrowDown, Trash2, Plus, Link, Check, Download, Copy } from 'lucide-react';
+import { buildBundle, BUNDLE_FILENAME } from '../../utils/bundle';
+import { downloadFile } from '../../utils/download';
+import { loadTemplateValues } from '../../utils/localStorage';
+import { createCollection, updateCollection, encodeCollection, resolveCollection, uniqueCollectionName } from '../../utils/collections';
+import { sharedCollectionPath } from '../../utils/routes';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+const downloadBundle = (collection, instructions) => {
+  const items = resolveCollection(collection, instructions);
+  downloadFile(BUNDLE_FILENAME, buildBundle(items.map((item) => item.instruction), loadTemplateValues()));
+};
+
+// A collection as someone else shared it: notes are shown, nothing can be changed
+const SharedCollection = ({ collection, instructions, onSelectInstruction, onClone }) => {
+  const items = resolveCollection(collection, instructions);
+  const missing = collection.items.length - items.length;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="flex-1 text-base font-semibold">{collection.name}</h3>
+        <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300">
+          Read-only
+        </span>
+      </div>
+      <ol className="mt-2 divide-y divide-gray-200 dark:divide-gray-700">
+        {items.map(({ id, note, instruction }) => (
+          <li key={id} className="py-2">
+            <button
+              onClick={() => onSelectInstruction(instruction)}
+              className="text-sm font-medium text-left hover:text-blue-600 dark:hover:text-blue-400"
+            >
+              {instruction.title || instruction.filename}
+            </button>
+            {note && <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-wrap">{note}</p>}
+          </li>
+        ))}
+      </ol>
+      {missing > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {missing} instruction{missing === 1 ? ' is' : 's are'} no longer in the catalog.
+        </p>
+      )}
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          onClick={onClone}
+          className="px-3 py-2 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center gap-2"
+        >
+          <Copy size={16} />
+          Clone to my collections
+        </button>
+        <button
+          onClick={() => downloadBundle(collection, instructions)}
+          disabled={items.length === 0}
+          className="px-3 py-2 text-sm rounded text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 disabled:opacity-40"
+        >
+          <Download size={16} />
+          Download all as a bundle
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const CollectionEditor = ({ collection, instructions, onChange, onDelete, onSelectInstruction }) => {
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+  const byId = new Map(instructions.map((instruction) => [instruction.id, instruction]));
+
+  const updateItems = (items) => onChange(updateCollection(collection, { items }));
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= collection.items.length) return;
+    const next = [...collection.items];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateItems(next);
+  };
+
+  const handleCopyLink = () => {
+    const url = `${window.location.origin}${sharedCollectionPath(encodeCollection(collection))}`;
+    navigator.clipboard.writeText(url).then(() => {
+      setIsLinkCopied(true);
+      setTimeout(() => setIsLinkCopied(false), 2000);
+    });
+  };
+
+  return (
+    <div>
+      <input
+        value={collection.name}
+        onChange={(e) => onChange(updateCollection(collection, { name: e.target.value }))}
+        className="w-full px-2 py-1 text-base font-semibold"
+        aria-label="Collection name"
+      />
+      {collection.items.length === 0 && (
+        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+          Add instructions with the folder button in an instruction&apos;s window.
+        </p>
+      )}
+      <ol className="mt-2 divide-y divide-gray-200 dark:divide-gray-700">
+        {collection.items.map((item, index) => {
+          const instruction = byId.get(item.id);
+          return (
+            <li key={item.id} className="py-2">
+              <div className="flex items-center gap-2">
+                {instruction ? (
+                  <button
+                    onClick={() => onSelectInstruction(instruction)}
+                    className="flex-1 text-sm font-medium text-left truncate hover:text-blue-600 dark:hover:text-blue-400"
+                    title={item.id}
+                  >
+                    {instruction.title || instruction.filename}
+                  </button>
+                ) : (
+                  <span className="flex-1 text-sm text-gray-500 dark:text-gray-400 truncate" title={item.id}>
+                    {item.id} (no longer available)
+                  </span>
+                )}
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                  title="Move up"
+                >
+                  <ArrowUp size={16} />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === collection.items.length - 1}
+                  className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                  title="Move down"
+                >
+                  <ArrowDown size={16} />
+                </button>
+                <button
+                  onClick={() => updateItems(collection.items.filter((other) => other.id !== item.id))}
+                  className="p-1 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400 rounded"
+                  title="Remove from collection"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              <input
+                value={item.note}
+                onChange={(e) =>
+                  updateItems(collection.items.map((other) => (other.id === item.id ? { ...other, note: e.target.value } : other)))
+                }
+                placeholder="Add a note, e.g. why this one"
+                className="mt-1 w-full px-2 py-1 text-sm"
+              />
+            </li>
+          );
+        })}
+      </ol>
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          onClick={handleCopyLink}
+          disabled={collection.items.length === 0}
+          className={`px-3 py-2 text-sm ${isLinkCopied ? 'bg-green-500' : 'bg-blue-500'} text-white rounded hover:bg-blue-600 flex items-center gap-2 disabled:opacity-40`}
+          title="Copy a read-only link to this collection"
+        >
+          {isLinkCopied ? <Check size={16} /> : <Link size={16} />}
+          {isLinkCopied ? 'Link copied!' : 'Share link'}
+        </button>
+        <button
+          onClick={() => downloadBundle(collection, instructions)}
+          disabled={collection.items.length === 0}
+          className="px-3 py-2 text-sm rounded text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2 disabled:opacity-40"
+        >
+          <Download size={16} />
+          Download all as a bundle
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm(`Delete the collection "${collection.name}"?`)) onDelete();
+          }}
+          className="ml-auto px-3 py-2 text-sm rounded text-red-600 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-2"
+        >
+          <Trash2 size={16} />
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The user's named collections, or a collection someone shared with them when
+ * `shared` is set. Shared collections are read-only until cloned.
+ */
+const CollectionsPanel = ({
+  collections,
+  shared,
+  initialCollectionId,
+  instructions,
+  onChangeCollections,
+  onCloneShared,
+  onSelectInstruction,
+  onClose,
+}) => {
+  const [selectedId, setSelectedId] = useState(
+    initialCollectionId || (collections.length > 0 ? collections[0].id : null)
+  );
+  const [newName, setNewName] = useState('');
+  const selected = collections.find((collection) => collection.id === selectedId);
+
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const trimmed = newName.trim();
+    if (!trimmed) return;
+    const collection = createCollection(uniqueCollectionName(trimmed, collections));
+    onChangeCollections([...collections, collection]);
+    setSelectedId(collection.id);
+    setNewName('');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start sm:items-center justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-4xl p-3 sm:p-6 shadow-2xl animate-modal-entry">
+          <div className="flex justify-between items-center border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <FolderOpen className="w-5 h-5" />
+              {shared ? 'Shared collection' : 'My collections'}
+            </h2>
+            <button
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+              onClick={onClose}
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+
+          <div className="pt-4 text-gray-900 dark:text-gray-100">
+            {shared ? (
+              <SharedCollection
+                collection={shared}
+                instructions={instructions}
+                onSelectInstruction={onSelectInstruction}
+                onClone={onCloneShared}
+              />
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="md:col-span-1">
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {collections.map((collection) => (
+                      <li key={collection.id}>
+                        <button
+                          onClick={() => setSelectedId(collection.id)}
+                          className={`w-full text-left px-2 py-1.5 rounded flex items-center gap-2 text-sm ${
+                            collection.id === selectedId
+                              ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100'
+                              : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                          }`}
+                        >
+                          <span className="flex-1 truncate">{collection.name || 'Untitled'}</span>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">{collection.items.length}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  <form onSubmit={handleCreate} className="mt-2 flex gap-1">
+                    <input
+                      value={newName}
+                      onChange={(e) => setNewName(e.target.value)}
+                      placeholder="e.g. Team Python stack"
+                      className="flex-1 min-w-0 px-2 py-1 text-sm"
+                    />
+                    <button
+                      type="submit"
+                      className="px-2 py-1 text-sm rounded flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      <Plus size={16} />
+                      New
+                    </button>
+                  </form>
+                </div>
+                <div className="md:col-span-2">
+                  {selected ? (
+                    <CollectionEditor
+                      key={selected.id}
+                      collection={selected}
+                      instructions={instructions}
+                      onChange={(changed) =>
+                        onChangeCollections(
+                          collections.map((collection) => (collection.id === changed.id ? changed : collection))
+                        )
+                      }
+                      onDelete={() => {
+                        const remaining = collections.filter((collection) => collection.id !== selected.id);
+                        onChangeCollections(remaining);
+                        setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+                      }}
+                      onSelectInstruction={onSelectInstruction}
+                    />
+                  ) : (
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Group instructions you use together, such as &quot;Mobile starter&quot;, add a note to each and
+                      share the collection with a link.
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CollectionsPanel;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Search, Zap, FileText, Folder, Tag } from 'lucide-react';
+import { searchInstructions } from '../../utils/search';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+const MAX_INSTRUCTIONS = 8;
+const MAX_TAGS = 8;
+
+const GROUPS = {
+  action: { label: 'Actions', Icon: Zap },
+  instruction: { label: 'Instructions', Icon: FileText },
+  category: { label: 'Categories', Icon: Folder },
+  tag: { label: 'Tags', Icon: Tag },
+};
+
+const includesText = (text, query) => text.toLowerCase().includes(query.toLowerCase());
+
+export const Keys = ({ keys }) => (
+  <span className="flex gap-1">
+    {keys.map((key) => (
+      <kbd
+        key={key}
+        className="min-w-[1.5rem] px-1.5 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-xs text-center font-sans text-gray-600 dark:text-gray-300"
+      >
+        {key}
+      </kbd>
+    ))}
+  </span>
+);
+
+/**
+ * Jump to an instruction, category or tag, or run one of `actions`
+ * ([{ id, label, keys, run }]), by typing. Arrow keys pick, Enter runs, Esc closes.
+ */
+const CommandPalette = ({
+  instructions,
+  searchIndex,
+  categories,
+  tags,
+  actions,
+  onSelectInstruction,
+  onSelectCategory,
+  onSelectTag,
+  onClose,
+}) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    // Give the focus back on close, so j and k go on from the same card
+    const previousFocus = document.activeElement;
+    disableScroll();
+    return () => {
+      enableScroll();
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+  }, []);
+
+  // Instructions only show up once something is typed; the search ranks them
+  const items = useMemo(() => {
+    const trimmed = query.trim();
+    const found = trimmed
+      ? searchInstructions(searchIndex, instructions, trimmed).slice(0, MAX_INSTRUCTIONS)
+      : [];
+    return [
+      ...actions
+        .filter((action) => includesText(action.label, trimmed))
+        .map((action) => ({ key: `action:${action.id}`, type: 'action', label: action.label, keys: action.keys, run: action.run })),
+      ...found.map(({ instruction }) => ({
+        key: `instruction:${instruction.id}`,
+        type: 'instruction',
+        label: instruction.title || instruction.filename,
+        detail: instruction.category,
+        run: () => onSelectInstruction(instruction),
+      })),
+      ...categories
+        .filter(({ name }) => includesText(name, trimmed))
+        .map(({ name, count }) => ({
+          key: `category:${name}`,
+          type: 'category',
+          label: name,
+          detail: `${count} instructions`,
+          run: () => onSelectCategory(name),
+        })),
+      ...tags
+        .filter(({ name }) => includesText(name, trimmed))
+        .slice(0, MAX_TAGS)
+        .map(({ name, count }) => ({
+          key: `tag:${name}`,
+          type: 'tag',
+          label: name,
+          detail: `${count} instructions`,
+          run: () => onSelectTag(name),
+        })),
+    ];
+  }, [query, actions, searchIndex, instructions, categories, tags, onSelectInstruction, onSelectCategory, onSelectTag]);
+
+  useEffect(() => {
+    const active = listRef.current && listRef.current.querySelector('[aria-selected="true"]');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runItem = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (items.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((prev) => (prev + step + items.length) % items.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (items[activeIndex]) runItem(items[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start justify-center p-2 sm:p-4 sm:pt-[15vh]">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-xl shadow-2xl animate-modal-entry overflow-hidden">
+          <div className="flex items-center gap-2 px-4 border-b dark:border-gray-700">
+            <Search className="w-5 h-5 text-gray-400" />
+            <input
+              autoFocus
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setActiveIndex(0);
+              }}
+              onKeyDown={handleKeyDown}
+              placeholder="Jump to an instruction, category or tag, or run an action"
+              className="flex-1 py-3 bg-transparent border-0 focus:outline-none focus:ring-0 text-gray-900 dark:text-gray-100"
+              role="combobox"
+              aria-expanded="true"
+              aria-controls="command-palette-results"
+              aria-activedescendant={items[activeIndex] ? `command-${activeIndex}` : undefined}
+            />
+          </div>
+          <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-96 overflow-y-auto py-2">
+            {items.map((item, index) => {
+              const { label: groupLabel, Icon } = GROUPS[item.type];
+              const isFirstOfGroup = index === 0 || items[index - 1].type !== item.type;
+              return (
+                <React.Fragment key={item.key}>
+                  {isFirstOfGroup && (
+                    <li role="presentation" className="px-4 pt-2 pb-1 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400">
+                      {groupLabel}
+                    </li>
+                  )}
+                  <li
+                    id={`command-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    onClick={() => runItem(item)}
+                    onMouseMove={() => setActiveIndex(index)}
+                    className={`mx-2 px-2 py-1.5 rounded flex items-center gap-2 text-sm cursor-pointer text-gray-900 dark:text-gray-100 ${
+                      index === activeIndex ? 'bg-blue-100 dark:bg-blue-900' : ''
+                    }`}
+                  >
+                    <Icon size={16} className="text-gray-400 shrink-0" />
+                    <span className="flex-1 truncate">{item.label}</span>
+                    {item.detail && <span className="text-xs text-gray-500 dark:text-gray-400">{item.detail}</span>}
+                    {item.keys && <Keys keys={item.keys} />}
+                  </li>
+                </React.Fragment>
+              );
+            })}
+            {items.length === 0 && (
+              <li className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">Nothing matches &quot;{query}&quot;</li>
+            )}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
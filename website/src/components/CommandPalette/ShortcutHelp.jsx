@@ -0,0 +1,64 @@
+import React, { useEffect } from 'react';
+import { Keyboard, X } from 'lucide-react';
+import { Keys } from './CommandPalette';
+import { SHORTCUTS } from '../../utils/shortcuts';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+// The list of keyboard shortcuts, opened with ?
+const ShortcutHelp = ({ onClose }) => {
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  useEffect(() => {
+    // Keys pressed while the list is open only close it; nothing behind it reacts
+    const handleKeyDown = (e) => {
+      e.stopImmediatePropagation();
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start sm:items-center justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-md p-3 sm:p-6 shadow-2xl animate-modal-entry">
+          <div className="flex justify-between items-center border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <Keyboard className="w-5 h-5" />
+              Keyboard shortcuts
+            </h2>
+            <button
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+              onClick={onClose}
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+          <dl className="pt-2 divide-y divide-gray-200 dark:divide-gray-700">
+            {SHORTCUTS.map(({ keys, description }) => (
+              <div key={description} className="flex items-center justify-between gap-4 py-2 text-sm">
+                <dt className="text-gray-700 dark:text-gray-300">{description}</dt>
+                <dd>
+                  <Keys keys={keys} />
+                </dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,166 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { GitCompare, X, ExternalLink } from 'lucide-react';
+import ShareButton from '../ShareButton/ShareButton';
+import { compareInstructions } from '../../utils/compare';
+import { comparePath } from '../../utils/routes';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+// Tailwind only ships class names that appear literally in the source
+const GRID_COLUMNS = { 2: 'sm:grid-cols-2', 3: 'sm:grid-cols-3' };
+
+const STATUS = {
+  same: { label: 'In another instruction', className: 'text-gray-500 dark:text-gray-400' },
+  changed: {
+    label: 'Reworded in another instruction',
+    className: 'border-l-4 border-amber-400 bg-amber-50 dark:bg-amber-900/30 text-gray-800 dark:text-gray-100',
+  },
+  unique: {
+    label: 'Only in this instruction',
+    className: 'border-l-4 border-green-500 bg-green-50 dark:bg-green-900/30 text-gray-800 dark:text-gray-100',
+  },
+};
+
+const Block = ({ block }) => {
+  const className = `pl-2 py-0.5 rounded-r ${STATUS[block.status].className}`;
+  if (block.type === 'code') {
+    return <pre className={`${className} text-xs overflow-x-auto`}>{block.text}</pre>;
+  }
+  if (block.type === 'heading') {
+    return <p className={`${className} font-semibold`}>{block.text.replace(/^#+\s*/, '')}</p>;
+  }
+  return (
+    <p className={`${className} whitespace-pre-wrap`}>
+      {block.type === 'bullet' && '• '}
+      {block.text}
+    </p>
+  );
+};
+
+/**
+ * Two or three instructions side by side, aligned by `##` section, with each
+ * block marked as shared, reworded or unique and differing metadata highlighted.
+ */
+const CompareView = ({ instructions, onRemove, onSelectInstruction, onClose }) => {
+  const [hideSame, setHideSame] = useState(false);
+  const { sections, metadata } = useMemo(() => compareInstructions(instructions), [instructions]);
+  const gridClassName = `grid grid-cols-1 ${GRID_COLUMNS[instructions.length]} gap-3`;
+
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  const visibleSections = hideSame
+    ? sections.filter((section) => section.columns.some((blocks) => !blocks || blocks.some((block) => block.status !== 'same')))
+    : sections;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-6xl p-3 sm:p-6 shadow-2xl animate-modal-entry">
+          <div className="flex flex-wrap justify-between items-center gap-2 border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <GitCompare className="w-5 h-5" />
+              Compare instructions
+            </h2>
+            <div className="flex items-center gap-2">
+              <ShareButton
+                url={`${window.location.origin}${comparePath(instructions.map((instruction) => instruction.id))}`}
+                text="Share"
+                content={`Comparing ${instructions.map((instruction) => instruction.title || instruction.filename).join(' vs ')}`}
+                title="Compare instructions"
+              />
+              <button
+                className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+                onClick={onClose}
+                title="Close"
+              >
+                <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 py-2 text-xs text-gray-600 dark:text-gray-400">
+            {Object.entries(STATUS).map(([status, { label, className }]) => (
+              <span key={status} className={`pl-2 pr-1 rounded-r ${className}`}>
+                {label}
+              </span>
+            ))}
+            <label className="ml-auto flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" checked={hideSame} onChange={(e) => setHideSame(e.target.checked)} />
+              Hide sections that are the same everywhere
+            </label>
+          </div>
+
+          <div className={`${gridClassName} sticky top-0 z-10 py-2 bg-white dark:bg-gray-800 border-b dark:border-gray-700`}>
+            {instructions.map((instruction) => (
+              <div key={instruction.id} className="flex items-start gap-1">
+                <h3 className="flex-1 text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  {instruction.title || instruction.filename}
+                </h3>
+                <button
+                  onClick={() => onSelectInstruction(instruction)}
+                  className="p-1 text-gray-400 hover:text-blue-500 rounded"
+                  title="Open this instruction"
+                >
+                  <ExternalLink size={16} />
+                </button>
+                <button
+                  onClick={() => onRemove(instruction)}
+                  className="p-1 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400 rounded"
+                  title="Remove from comparison"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <table className="w-full mt-2 text-sm table-fixed">
+            <tbody>
+              {metadata.map((row) => (
+                <tr
+                  key={row.label}
+                  className={row.isDifferent ? 'bg-amber-50 dark:bg-amber-900/30' : 'text-gray-500 dark:text-gray-400'}
+                  title={row.isDifferent ? 'Differs between the instructions' : undefined}
+                >
+                  <th className="w-28 py-0.5 pr-2 text-left font-medium align-top">{row.label}</th>
+                  {row.values.map((value, index) => (
+                    <td key={index} className="py-0.5 pr-2 align-top break-words">
+                      {value || '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {visibleSections.map((section) => (
+            <section key={section.key} className="mt-4">
+              <h4 className="text-base font-semibold text-gray-900 dark:text-gray-100 border-b dark:border-gray-700 pb-1 mb-2">
+                {section.heading}
+              </h4>
+              <div className={gridClassName}>
+                {section.columns.map((blocks, index) => (
+                  <div key={instructions[index].id} className="space-y-1 text-sm min-w-0">
+                    {blocks ? (
+                      blocks.map((block, blockIndex) => <Block key={blockIndex} block={block} />)
+                    ) : (
+                      <p className="text-gray-400 dark:text-gray-500 italic">No such section</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
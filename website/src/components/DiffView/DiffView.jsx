@@ -0,0 +1,70 @@
+import React, { useMemo } from 'react';
+import { diffLines, hasChanges } from '../../utils/diff';
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const CONTEXT_LINES = 2;
+
+const lineClasses = {
+  added: 'bg-green-100 text-green-900 dark:bg-green-900/40 dark:text-green-100',
+  removed: 'bg-red-100 text-red-900 dark:bg-red-900/40 dark:text-red-100',
+  same: 'text-gray-700 dark:text-gray-300',
+};
+
+const linePrefix = { added: '+', removed: '-', same: ' ' };
+
+const DiffView = ({ before, after, beforeLabel = 'Original', afterLabel = 'Edited' }) => {
+  const lines = useMemo(() => diffLines(before, after), [before, after]);
+
+  const rows = useMemo(() => {
+    const nearChange = lines.map((line, index) =>
+      lines
+        .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+        .some((other) => other.type !== 'same')
+    );
+    const result = [];
+    let hidden = 0;
+    lines.forEach((line, index) => {
+      if (line.type === 'same' && !nearChange[index]) {
+        hidden++;
+        return;
+      }
+      if (hidden > 0) {
+        result.push({ type: 'skip', count: hidden });
+        hidden = 0;
+      }
+      result.push(line);
+    });
+    if (hidden > 0) result.push({ type: 'skip', count: hidden });
+    return result;
+  }, [lines]);
+
+  if (!hasChanges(lines)) {
+    return (
+      <p className="text-sm text-gray-600 dark:text-gray-400 p-2">
+        No differences between {beforeLabel.toLowerCase()} and {afterLabel.toLowerCase()}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="border border-gray-300 dark:border-gray-700 rounded overflow-auto max-h-96 text-xs font-mono">
+      <div className="flex gap-4 px-2 py-1 border-b border-gray-300 dark:border-gray-700 text-gray-600 dark:text-gray-400">
+        <span className="text-red-600 dark:text-red-400">- {beforeLabel}</span>
+        <span className="text-green-600 dark:text-green-400">+ {afterLabel}</span>
+      </div>
+      {rows.map((row, index) =>
+        row.type === 'skip' ? (
+          <div key={index} className="px-2 py-0.5 text-gray-400 dark:text-gray-500 italic">
+            … {row.count} unchanged line{row.count === 1 ? '' : 's'}
+          </div>
+        ) : (
+          <div key={index} className={`px-2 whitespace-pre-wrap ${lineClasses[row.type]}`}>
+            {linePrefix[row.type]} {row.text}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
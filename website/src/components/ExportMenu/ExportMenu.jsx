@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import { EXPORT_FORMATS, exportInstructions } from '../../utils/exportFormats';
+import { downloadFile } from '../../utils/download';
+import { loadTemplateValues } from '../../utils/localStorage';
+
+// Browsers save downloads without folders, so only the file name is kept;
+// the menu shows where each file belongs in the repository
+const baseName = (filePath) => filePath.split('/').pop();
+
+const ExportMenu = ({ instructions, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleExport = (formatId) => {
+    exportInstructions(formatId, instructions, loadTemplateValues()).forEach((file) => downloadFile(baseName(file.path), file.content));
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-2 ${className}`}
+        title="Download for another assistant"
+      >
+        <Download size={16} />
+        Export
+        <ChevronDown size={14} />
+      </button>
+      {isOpen && (
+        <ul className="absolute right-0 bottom-full mb-2 z-10 w-72 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg py-1">
+          {EXPORT_FORMATS.map((format) => (
+            <li key={format.id}>
+              <button
+                onClick={() => handleExport(format.id)}
+                className="w-full text-left px-3 py-1.5 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                <span className="block text-sm text-gray-900 dark:text-gray-100">{format.label}</span>
+                <code className="block text-xs text-gray-500 dark:text-gray-400">{format.location}</code>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronRight } from 'lucide-react';
+import { FACETS, UPDATED_WITHIN, hasFacetFilters } from '../../utils/facets';
+
+// Values shown per facet before "Show all"
+const INITIAL_VALUES_TO_SHOW = 6;
+
+const valueLabel = (facetId, value) =>
+  facetId === 'updated' ? UPDATED_WITHIN.find((option) => option.value === value)?.label || value : value;
+
+const FacetSection = ({ facet, values, selected, onToggle }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [showAll, setShowAll] = useState(false);
+  const visibleValues = showAll ? values : values.slice(0, INITIAL_VALUES_TO_SHOW);
+
+  return (
+    <div className="py-2 border-b last:border-b-0 border-gray-200 dark:border-gray-700">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-1 text-sm font-semibold text-gray-900 dark:text-gray-100"
+      >
+        {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        {facet.label}
+      </button>
+      {isOpen && (
+        <ul className="mt-1 space-y-0.5">
+          {visibleValues.map(({ value, count }) => (
+            <li key={value}>
+              <label
+                className={`flex items-center gap-2 text-sm cursor-pointer ${
+                  count === 0 && !selected.includes(value)
+                    ? 'text-gray-400 dark:text-gray-500'
+                    : 'text-gray-700 dark:text-gray-300'
+                }`}
+              >
+                <input
+                  type={facet.single ? 'radio' : 'checkbox'}
+                  name={facet.single ? facet.id : undefined}
+                  checked={selected.includes(value)}
+                  // Handled on click so that clicking the selected radio clears it
+                  onClick={() => onToggle(facet.id, value)}
+                  readOnly
+                  className="rounded"
+                />
+                <span className="flex-1 truncate">{valueLabel(facet.id, value)}</span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{count}</span>
+              </label>
+            </li>
+          ))}
+          {values.length > INITIAL_VALUES_TO_SHOW && (
+            <li>
+              <button
+                onClick={() => setShowAll(!showAll)}
+                className="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+              >
+                {showAll ? 'Show less' : `Show all ${values.length}`}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Filter sidebar with a section per metadata facet and live counts that
+ * reflect the current search, tags and the other facets.
+ */
+const FacetSidebar = ({ facetCounts, filters, onToggle, onClear }) => {
+  // Collapsed behind a button on small screens, always open on large ones
+  const [isOpen, setIsOpen] = useState(false);
+  const isFiltered = hasFacetFilters(filters);
+
+  return (
+    <aside className="w-full lg:w-56 shrink-0">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-2 text-sm font-semibold text-gray-900 dark:text-gray-100 lg:cursor-default"
+        >
+          <SlidersHorizontal size={16} />
+          Filters
+        </button>
+        {isFiltered && (
+          <button
+            onClick={onClear}
+            className="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      <div
+        className={`${isOpen ? 'block' : 'hidden'} lg:block mt-2 p-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800`}
+      >
+        {FACETS.filter((facet) => facetCounts[facet.id].length > 0).map((facet) => (
+          <FacetSection
+            key={facet.id}
+            facet={facet}
+            values={facetCounts[facet.id]}
+            selected={filters[facet.id] || []}
+            onToggle={onToggle}
+          />
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+export default FacetSidebar;
@@ -1,14 +1,26 @@
 import React from 'react';
-import { Zap } from 'lucide-react';
-import { getMostFrequentTool } from '../../utils/localStorage';
+import { Zap, Layers, Bell, GitCompare } from 'lucide-react';
 
-const InstructionItem = ({ instruction, onSelectInstruction, onQuickAction, customTools = [] }) => {
-  const mostFrequentTool = getMostFrequentTool([...customTools]);
-  
+const InstructionItem = ({
+  instruction,
+  onSelectInstruction,
+  onQuickAction,
+  quickActionTool,
+  isInBundle,
+  onToggleBundle,
+  isCompared,
+  canCompare,
+  onToggleCompare,
+  hasUpstreamChanges,
+  onShowChanges
+}) => {
+  // The title button covers the whole card, so a click anywhere opens the instruction;
+  // the other buttons sit above it
   return (
     <div
-      onClick={() => onSelectInstruction(instruction)}
-      className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm hover:shadow-md transition-all duration-300 cursor-pointer flex flex-col gap-3 h-full border border-gray-200 dark:border-gray-700"
+      data-keyboard-item
+      data-instruction-id={instruction.id}
+      className="relative bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm hover:shadow-md transition-all duration-300 cursor-pointer flex flex-col gap-3 h-full border border-gray-200 dark:border-gray-700"
     >
       <div className="flex justify-between items-center">
         <span className="text-sm text-gray-500">
@@ -17,23 +29,73 @@ const InstructionItem = ({ instruction, onSelectInstruction, onQuickAction, cust
             ? <span role="img" aria-label="no usage">😴</span>
             : <span role="img" aria-label="usage count">🔥</span>}
         </span>
-        {onQuickAction && mostFrequentTool && (
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              onQuickAction(instruction);
-            }}
-            className="px-2 py-1 text-xs bg-purple-500 text-white rounded hover:bg-purple-600 flex items-center gap-1"
-            title={`Quick configure with ${mostFrequentTool.name}`}
-          >
-            <Zap size={16} />
-            {mostFrequentTool.name}
-          </button>
-        )}
+        <div className="relative z-10 flex items-center gap-2">
+          {onToggleCompare && (
+            <button
+              onClick={() => onToggleCompare(instruction)}
+              disabled={!isCompared && !canCompare}
+              className={`px-2 py-1 text-xs rounded flex items-center gap-1 disabled:opacity-40 ${
+                isCompared
+                  ? "bg-blue-500 text-white hover:bg-blue-600"
+                  : "bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300"
+              }`}
+              title={
+                isCompared
+                  ? "Remove from comparison"
+                  : canCompare
+                    ? "Pick for a side-by-side comparison"
+                    : "You can compare up to three instructions"
+              }
+            >
+              <GitCompare size={16} />
+              {isCompared ? "Comparing" : "Compare"}
+            </button>
+          )}
+          {onToggleBundle && (
+            <button
+              onClick={() => onToggleBundle(instruction)}
+              className={`px-2 py-1 text-xs rounded flex items-center gap-1 ${
+                isInBundle
+                  ? "bg-purple-500 text-white hover:bg-purple-600"
+                  : "bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300"
+              }`}
+              title={isInBundle ? "Remove from bundle" : "Add to bundle"}
+            >
+              <Layers size={16} />
+              {isInBundle ? "In bundle" : "Bundle"}
+            </button>
+          )}
+          {onQuickAction && quickActionTool && (
+            <button
+              onClick={() => onQuickAction(instruction)}
+              className="px-2 py-1 text-xs bg-purple-500 text-white rounded hover:bg-purple-600 flex items-center gap-1"
+              title={`Quick configure with ${quickActionTool.name}`}
+            >
+              <Zap size={16} />
+              {quickActionTool.name}
+            </button>
+          )}
+        </div>
       </div>
+      {hasUpstreamChanges && onShowChanges && (
+        <button
+          onClick={() => onShowChanges(instruction)}
+          className="relative z-10 self-start px-2 py-1 text-xs rounded flex items-center gap-1 bg-amber-100 text-amber-800 hover:bg-amber-200 dark:bg-amber-900 dark:text-amber-100"
+          title="See what changed since you last copied or favorited this instruction"
+        >
+          <Bell size={14} />
+          Changed since you last used it
+        </button>
+      )}
       <div className="flex-1">
         <h3 className="text-lg font-semibold mb-1 dark:text-gray-100">
-          {instruction.title || instruction.filename || 'Untitled Instruction'}
+          <button
+            data-keyboard-focus
+            onClick={() => onSelectInstruction(instruction)}
+            className="text-left after:absolute after:inset-0 after:rounded-lg focus:outline-none focus-visible:after:ring-2 focus-visible:after:ring-blue-500"
+          >
+            {instruction.title || instruction.filename || 'Untitled Instruction'}
+          </button>
         </h3>
         <p className="text-gray-600 dark:text-gray-400 line-clamp-3 text-sm">
           {instruction.description || instruction.content.substring(0, 150) + '...'}
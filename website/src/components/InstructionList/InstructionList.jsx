@@ -1,7 +1,8 @@
 import React from 'react';
 import InfiniteScroll from 'react-infinite-scroll-component';
 import InstructionItem from './InstructionItem';
-import { FolderOpen } from 'lucide-react';
+import { FolderOpen, GitCompare } from 'lucide-react';
+import { MAX_COMPARED } from '../../utils/compare';
 
 const InstructionList = ({
   instructions,
@@ -16,7 +17,15 @@ const InstructionList = ({
   showCategoryList,
   totalInstructions,
   totalFilteredInstructions,
-  customTools
+  quickActionTool,
+  bundleIds = [],
+  onToggleBundle,
+  compareIds = [],
+  onToggleCompare,
+  onOpenCompare,
+  onClearCompare,
+  changedInstructionIds = [],
+  onShowChanges
 }) => {
   if (showCategoryList) {
     return (
@@ -32,10 +41,11 @@ const InstructionList = ({
         </div>
         <div className="copilot-grid">
           {Object.entries(groupedInstructions).map(([category, categoryInstructions]) => (
-            <div
+            <button
               key={category}
+              data-keyboard-item
               onClick={() => onCategoryClick(category)}
-              className="copilot-card p-4 hover:border-copilot-primary cursor-pointer"
+              className="copilot-card p-4 hover:border-copilot-primary cursor-pointer text-left"
             >
               <h3 className="copilot-heading text-lg mb-2">
                 {category}
@@ -43,7 +53,7 @@ const InstructionList = ({
               <p className="text-sm text-gray-600 dark:text-gray-400">
                 {categoryInstructions.length} instructions
               </p>
-            </div>
+            </button>
           ))}
         </div>
       </div>
@@ -62,6 +72,22 @@ const InstructionList = ({
               ← Back to Categories
             </button>
           )}
+          {compareIds.length > 0 && (
+            <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <button
+                onClick={onOpenCompare}
+                disabled={compareIds.length < 2}
+                className="px-2 py-1 rounded flex items-center gap-1 bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                title={compareIds.length < 2 ? 'Pick at least two instructions' : 'Show the picked instructions side by side'}
+              >
+                <GitCompare size={16} />
+                Compare {compareIds.length} of {MAX_COMPARED}
+              </button>
+              <button onClick={onClearCompare} className="px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+                Clear
+              </button>
+            </div>
+          )}
           <div className="text-sm text-gray-600 dark:text-gray-400 ml-0 sm:ml-auto">
             {totalFilteredInstructions} instructions found
             {instructions.length < totalFilteredInstructions && ` (showing ${instructions.length})`}
@@ -74,13 +100,20 @@ const InstructionList = ({
           loader={<p className="text-center py-4 text-gray-600 dark:text-gray-400">Loading...</p>}
           className="copilot-grid"
         >
-          {instructions.map((instruction, index) => (
+          {instructions.map((instruction) => (
             <InstructionItem
-              key={index}
+              key={instruction.id}
               instruction={instruction}
               onSelectInstruction={onSelectInstruction}
               onQuickAction={onQuickAction}
-              customTools={customTools}
+              quickActionTool={quickActionTool}
+              isInBundle={bundleIds.includes(instruction.id)}
+              onToggleBundle={onToggleBundle}
+              isCompared={compareIds.includes(instruction.id)}
+              canCompare={compareIds.length < MAX_COMPARED}
+              onToggleCompare={onToggleCompare}
+              hasUpstreamChanges={changedInstructionIds.includes(instruction.id)}
+              onShowChanges={onShowChanges}
             />
           ))}
         </InfiniteScroll>
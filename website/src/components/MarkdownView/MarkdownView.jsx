@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Copy, Check, Hash } from 'lucide-react';
+import { parseMarkdown, parseInline, getOutline } from '../../utils/markdown';
+import { parseSections } from '../../utils/markdownSections';
+import { highlightCode } from '../../utils/highlight';
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-500 dark:text-gray-400 italic',
+  string: 'text-green-700 dark:text-green-400',
+  number: 'text-orange-600 dark:text-orange-300',
+  keyword: 'text-purple-700 dark:text-purple-300 font-semibold',
+  text: '',
+};
+
+const HEADING_CLASSES = {
+  1: 'text-xl font-bold mt-2 mb-3',
+  2: 'text-lg font-semibold mt-6 mb-2 pb-1 border-b dark:border-gray-700',
+  3: 'text-base font-semibold mt-4 mb-2',
+};
+
+// Links in instructions are user content; only plain web, mail and in-page links are followed
+const isSafeHref = (href) => /^(https?:|mailto:|#|\/)/i.test(href);
+
+const renderInline = (tokens) =>
+  tokens.map((token, index) => {
+    switch (token.type) {
+      case 'code':
+        return (
+          <code key={index} className="px-1 rounded bg-gray-100 dark:bg-gray-700 text-sm">
+            {token.text}
+          </code>
+        );
+      case 'strong':
+        return <strong key={index}>{renderInline(token.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(token.children)}</em>;
+      case 'link':
+        return isSafeHref(token.href) ? (
+          <a
+            key={index}
+            href={token.href}
+            target={token.href.startsWith('#') ? undefined : '_blank'}
+            rel="noopener noreferrer"
+            className="text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            {renderInline(token.children)}
+          </a>
+        ) : (
+          <span key={index}>{renderInline(token.children)}</span>
+        );
+      default:
+        return <React.Fragment key={index}>{token.text}</React.Fragment>;
+    }
+  });
+
+const List = ({ list }) => {
+  const Tag = list.ordered ? 'ol' : 'ul';
+  return (
+    <Tag className={`${list.ordered ? 'list-decimal' : 'list-disc'} pl-6 my-2 space-y-1`}>
+      {list.items.map((item, index) => (
+        <li key={index}>
+          {renderInline(parseInline(item.text))}
+          {item.children && <List list={item.children} />}
+        </li>
+      ))}
+    </Tag>
+  );
+};
+
+const CodeBlock = ({ code, language }) => (
+  <div className="relative my-3">
+    {language && (
+      <span className="absolute right-2 top-1 text-xs text-gray-500 dark:text-gray-400">{language}</span>
+    )}
+    <pre className="p-3 rounded bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 overflow-x-auto text-sm">
+      <code>
+        {highlightCode(code, language).map((token, index) => (
+          <span key={index} className={TOKEN_CLASSES[token.type]}>
+            {token.text}
+          </span>
+        ))}
+      </code>
+    </pre>
+  </div>
+);
+
+// Scroll a heading into view inside the preview and point the URL at it
+const goToSection = (container, slug) => {
+  const target = container && container.querySelector(`[id="${CSS.escape(slug)}"]`);
+  if (!target) return;
+  target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  window.history.replaceState(window.history.state, '', `#${slug}`);
+};
+
+/**
+ * Rendered view of an instruction's markdown with an outline of its sections.
+ * Every `##` section has an anchor link and can be copied on its own.
+ */
+const MarkdownView = ({ content }) => {
+  const containerRef = useRef(null);
+  const [copiedSlug, setCopiedSlug] = useState(null);
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+  const outline = useMemo(() => getOutline(blocks), [blocks]);
+  // The parsers agree on which lines are `##` headings, so the nth one matches the nth section
+  const sections = useMemo(() => parseSections(content).sections, [content]);
+
+  // Open at the section named in the URL, e.g. /i/<id>/#testing-requirements
+  useEffect(() => {
+    const slug = decodeURIComponent(window.location.hash.slice(1));
+    const target = slug && containerRef.current.querySelector(`[id="${CSS.escape(slug)}"]`);
+    if (target) target.scrollIntoView({ block: 'start' });
+  }, []);
+
+  const handleCopySection = (section, slug) => {
+    navigator.clipboard.writeText(`## ${section.heading}\n\n${section.body}\n`).then(() => {
+      setCopiedSlug(slug);
+      setTimeout(() => setCopiedSlug(null), 2000);
+    });
+  };
+
+  let sectionIndex = -1;
+  const renderBlock = (block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level + 2, 6)}`;
+        const className = `${HEADING_CLASSES[block.level] || 'font-semibold mt-3 mb-1'} text-gray-900 dark:text-gray-100 scroll-mt-2`;
+        if (block.level !== 2) {
+          return (
+            <Tag key={index} id={block.slug} className={className}>
+              {renderInline(parseInline(block.text))}
+            </Tag>
+          );
+        }
+        sectionIndex++;
+        const section = sections[sectionIndex];
+        return (
+          <Tag key={index} id={block.slug} className={`group flex items-center gap-2 ${className}`}>
+            <span className="flex-1">{renderInline(parseInline(block.text))}</span>
+            <a
+              href={`#${block.slug}`}
+              onClick={(e) => {
+                e.preventDefault();
+                goToSection(containerRef.current, block.slug);
+              }}
+              className="p-1 rounded text-gray-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+              title="Link to this section"
+            >
+              <Hash size={14} />
+            </a>
+            {section && (
+              <button
+                onClick={() => handleCopySection(section, block.slug)}
+                className="px-2 py-0.5 rounded text-xs font-normal flex items-center gap-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
+                title={`Copy only the "${section.heading}" section`}
+              >
+                {copiedSlug === block.slug ? <Check size={12} /> : <Copy size={12} />}
+                {copiedSlug === block.slug ? 'Copied!' : 'Copy section'}
+              </button>
+            )}
+          </Tag>
+        );
+      }
+      case 'list':
+        return <List key={index} list={block} />;
+      case 'code':
+        return <CodeBlock key={index} code={block.code} language={block.language} />;
+      case 'quote':
+        return (
+          <blockquote key={index} className="my-2 pl-3 border-l-4 border-gray-300 dark:border-gray-600 italic">
+            {renderInline(parseInline(block.text))}
+          </blockquote>
+        );
+      case 'rule':
+        return <hr key={index} className="my-4 border-gray-200 dark:border-gray-700" />;
+      default:
+        return (
+          <p key={index} className="my-2">
+            {renderInline(parseInline(block.text))}
+          </p>
+        );
+    }
+  };
+
+  return (
+    <div className="flex gap-4">
+      {outline.length > 0 && (
+        <nav className="hidden sm:block w-44 shrink-0 max-h-[28rem] overflow-y-auto text-sm" aria-label="Sections">
+          <ul className="space-y-1">
+            {outline.map((item) => (
+              <li key={item.slug} className={item.level === 3 ? 'pl-3' : ''}>
+                <a
+                  href={`#${item.slug}`}
+                  onClick={(e) => {
+                    e.preventDefault();
+                    goToSection(containerRef.current, item.slug);
+                  }}
+                  className={`block truncate hover:text-blue-600 dark:hover:text-blue-400 ${
+                    item.level === 3 ? 'text-xs text-gray-500 dark:text-gray-400' : 'text-gray-700 dark:text-gray-300'
+                  }`}
+                  title={item.text}
+                >
+                  {item.text.replace(/[*_`]/g, '')}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+      <div
+        ref={containerRef}
+        className="flex-1 min-w-0 max-h-[28rem] overflow-y-auto p-3 border border-gray-300 rounded bg-white dark:bg-gray-800 dark:border-gray-700 text-gray-800 dark:text-gray-200"
+      >
+        {blocks.map(renderBlock)}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownView;
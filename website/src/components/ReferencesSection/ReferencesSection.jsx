@@ -1,8 +1,10 @@
 import React from 'react';
 import { FaBook } from 'react-icons/fa';
+// Resolved at build time by scripts/resolve_references.js
+import references from '../../data/resolved-references.json';
 
-const ReferencesSection = ({ referencesData }) => {
-  if (!referencesData || referencesData.length === 0) return null;
+const ReferencesSection = () => {
+  if (references.length === 0) return null;
 
   return (
     <section className="mt-8">
@@ -12,18 +14,30 @@ const ReferencesSection = ({ referencesData }) => {
           GitHub Copilot Resources
         </h2>
         <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-          {referencesData.map((reference, index) => (
+          {references.map((reference) => (
             <a
-              key={index}
+              key={reference.url}
               href={reference.url}
               target="_blank"
               rel="noopener noreferrer"
               className="p-4 rounded-lg border border-gray-100 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-400 transition-colors"
             >
-              <h3 className="font-semibold text-gray-900 dark:text-white mb-2">{reference.title}</h3>
-              <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
-                Learn more about {reference.description.toLowerCase()}
-              </p>
+              <h3 className="font-semibold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+                {/* Favicons are remote, so they are hidden when offline or missing */}
+                <img
+                  src={reference.favicon}
+                  alt=""
+                  className="w-4 h-4"
+                  loading="lazy"
+                  onError={(e) => {
+                    e.currentTarget.style.display = 'none';
+                  }}
+                />
+                {reference.title}
+              </h3>
+              {reference.description && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">{reference.description}</p>
+              )}
               <div className="flex items-center justify-between">
                 <span className="text-xs text-blue-600 dark:text-blue-400">{reference.source}</span>
                 <span className="text-xs text-gray-500 dark:text-gray-400">Official Resource</span>
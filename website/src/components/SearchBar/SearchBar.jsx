@@ -1,20 +1,22 @@
 // src/components/SearchBar/SearchBar.jsx
 import React from 'react';
 
-const SearchBar = ({ onSearch }) => {
+// initialQuery fills the box on load, e.g. from ?q=; the input is not controlled
+const SearchBar = ({ initialQuery = '', inputRef, onSearch }) => {
+  // Pass the raw query on: quotes and qualifiers such as tag:react are parsed by the search
   const handleChange = (e) => {
-    const input = e.target.value;
-    // Split input into words and filter out any empty strings
-    const words = input.split(/\s+/).filter(Boolean);
-    onSearch(words);
+    onSearch(e.target.value);
   };
 
   return (
     <div className="w-full px-2 sm:px-0">
       <div className="relative">
         <input
+          ref={inputRef}
           type="text"
-          placeholder="Search GitHub Copilot instructions..."
+          placeholder='Search instructions, e.g. "error handling" tag:react language:python'
+          title="Use quotes for phrases and tag:, category: or language: to narrow results"
+          defaultValue={initialQuery}
           onChange={handleChange}
           className="w-full px-4 sm:px-6 py-3 sm:py-4 text-base sm:text-lg rounded-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-blue-500 dark:focus:border-blue-400 transition-colors duration-200 shadow-sm"
         />
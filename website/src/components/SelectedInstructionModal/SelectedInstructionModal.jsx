@@ -1,10 +1,32 @@
 // src/components/SelectedPromptModal/SelectedPromptModal.jsx
 import React, { useState, useEffect } from "react";
 import { disableScroll, enableScroll } from "../../utils/scrollLock";
-import { X, Copy, Check, Heart, ArrowRight } from "lucide-react";
+import { X, Copy, Check, Heart, ArrowRight, Layers, GitCompare, Bell, History, ChevronDown, ChevronRight, Eye, Pencil } from "lucide-react";
 import ShareButton from "../ShareButton/ShareButton";
+import ExportMenu from "../ExportMenu/ExportMenu";
+import DiffView from "../DiffView/DiffView";
+import MarkdownView from "../MarkdownView/MarkdownView";
+import AddToCollectionMenu from "../CollectionsPanel/AddToCollectionMenu";
+import VariantToolbar from "./VariantToolbar";
+import TemplateVariablesForm from "./TemplateVariablesForm";
 import "../../styles/animations.css";
-import { getModalUsageCount, incrementModalUsageCount } from "../../utils/localStorage";
+import {
+  getModalUsageCount,
+  incrementModalUsageCount,
+  loadTemplateValues,
+  saveTemplateValues,
+} from "../../utils/localStorage";
+import { fillTemplate } from "../../utils/templateVariables";
+import { instructionPath } from "../../utils/routes";
+import { isTypingTarget } from "../../utils/shortcuts";
+import { useBrowserState } from "../../utils/hydration";
+
+// One format everywhere, so pre-rendered dates read the same after hydration
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+
+// The guide is shown the first few times the window opens
+const isNewToModal = () => getModalUsageCount() < 3;
 
 const SelectedInstructionModal = ({
   selectedInstruction,
@@ -12,17 +34,52 @@ const SelectedInstructionModal = ({
   onCopy,
   isCopied,
   onStartConversation,
+  tools = [],
   isFavorite,
   onToggleFavorite,
+  isInBundle,
+  onToggleBundle,
+  collections = [],
+  onToggleCollection,
+  onCreateCollection,
+  similarInstructions = [],
+  onSelectInstruction,
+  upstreamSnapshot,
+  showChangesOnOpen = false,
+  onAcknowledgeChanges,
 }) => {
-  const [shouldShowGuide] = useState(() => getModalUsageCount() < 3);
+  const [shouldShowGuide] = useBrowserState(isNewToModal, true);
+  const [content, setContent] = useState(selectedInstruction.content);
+  const [showDiff, setShowDiff] = useState(false);
+  const [showUpstreamChanges, setShowUpstreamChanges] = useState(showChangesOnOpen);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [templateValues, setTemplateValues] = useBrowserState(loadTemplateValues, {});
+  const isModified = content !== selectedInstruction.content;
+  const variables = selectedInstruction.variables || [];
+  // What is previewed, copied and exported; the editor and variants keep the placeholders
+  const filledContent = fillTemplate(content, variables, templateValues);
+  const metadata = selectedInstruction.metadata || {};
+  const history = selectedInstruction.history || [];
 
-  const getShareUrl = () => {
-    const url = new URL(window.location.origin);
-    url.searchParams.set("instruction", encodeURIComponent(selectedInstruction.filename));
-    return url.toString();
+  // Start from the upstream text whenever another instruction is shown
+  useEffect(() => {
+    setContent(selectedInstruction.content);
+    setShowDiff(false);
+    setShowUpstreamChanges(showChangesOnOpen);
+    setShowHistory(false);
+    setIsEditing(false);
+  }, [selectedInstruction, showChangesOnOpen]);
+
+  const handleVariableChange = (name, value) => {
+    const next = { ...templateValues, [name]: value };
+    if (value === "") delete next[name];
+    saveTemplateValues(next);
+    setTemplateValues(next);
   };
 
+  const getShareUrl = () => `${window.location.origin}${instructionPath(selectedInstruction.id)}`;
+
   const shareContent = `Check out this GitHub Copilot instruction "${
     selectedInstruction.title || selectedInstruction.filename
   }" from GitHub Copilot Instructions Collection`;
@@ -35,6 +92,22 @@ const SelectedInstructionModal = ({
     };
   }, []);
 
+  // c and f do what the Copy and favorite buttons do, with the text as shown
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      if (e.key === "c") {
+        e.preventDefault();
+        onCopy(filledContent);
+      } else if (e.key === "f") {
+        e.preventDefault();
+        onToggleFavorite();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
   return (
     <div className="fixed inset-0 z-50" aria-modal="true">
       <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" />
@@ -77,6 +150,25 @@ const SelectedInstructionModal = ({
               {selectedInstruction.title || selectedInstruction.filename}
             </h2>
             <div className="flex gap-2">
+              <button
+                onClick={onToggleBundle}
+                className={`p-2 rounded-full transition-colors duration-200 ${
+                  isInBundle
+                    ? "text-purple-500 hover:bg-purple-100"
+                    : "text-gray-400 hover:bg-gray-100"
+                }`}
+                title={isInBundle ? "Remove from bundle" : "Add to bundle"}
+              >
+                <Layers className="w-5 h-5" />
+              </button>
+              {onToggleCollection && (
+                <AddToCollectionMenu
+                  collections={collections}
+                  instructionId={selectedInstruction.id}
+                  onToggle={onToggleCollection}
+                  onCreate={onCreateCollection}
+                />
+              )}
               <button
                 onClick={onToggleFavorite}
                 className={`p-2 rounded-full transition-colors duration-200 ${
@@ -108,17 +200,99 @@ const SelectedInstructionModal = ({
           </div>
 
           <div className="flex-1 overflow-y-auto sm:pt-10">
+            {upstreamSnapshot && (
+              <div className="mb-3 p-2 rounded border border-amber-300 bg-amber-50 dark:border-amber-700 dark:bg-amber-900/30">
+                <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-amber-800 dark:text-amber-100">
+                  <span className="flex items-center gap-2">
+                    <Bell size={16} />
+                    Changed since you last used it on {formatDate(upstreamSnapshot.usedAt)}
+                  </span>
+                  <span className="flex gap-2">
+                    <button
+                      onClick={() => setShowUpstreamChanges(!showUpstreamChanges)}
+                      className="px-2 py-1 rounded hover:bg-amber-100 dark:hover:bg-amber-800"
+                    >
+                      {showUpstreamChanges ? "Hide changes" : "Show what changed"}
+                    </button>
+                    <button
+                      onClick={onAcknowledgeChanges}
+                      className="px-2 py-1 rounded hover:bg-amber-100 dark:hover:bg-amber-800"
+                      title="Stop flagging this version as changed"
+                    >
+                      Mark as seen
+                    </button>
+                  </span>
+                </div>
+                {showUpstreamChanges && (
+                  <div className="mt-2">
+                    <DiffView
+                      before={upstreamSnapshot.content}
+                      after={selectedInstruction.content}
+                      beforeLabel="When you last used it"
+                      afterLabel="Current version"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
             <p className="hidden sm:block text-sm text-gray-600 dark:text-gray-400 mb-2">
-              {shouldShowGuide && "You can modify this instruction before using it:"}
+              {shouldShowGuide && "You can modify this instruction before using it: click Edit to change the markdown."}
             </p>
-            <textarea
-              className="w-full p-2 border border-gray-300 rounded bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
-              defaultValue={selectedInstruction.content}
-              rows={window.innerWidth < 640 ? 10 : 15}
-            />
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <VariantToolbar
+                key={selectedInstruction.id}
+                instructionId={selectedInstruction.id}
+                content={content}
+                isModified={isModified}
+                onLoad={(variantContent) => setContent(variantContent ?? selectedInstruction.content)}
+              />
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowDiff(!showDiff)}
+                  disabled={!isModified}
+                  className={`px-2 py-1 text-sm rounded flex items-center gap-1 disabled:opacity-40 ${
+                    showDiff
+                      ? "bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-100"
+                      : "text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  }`}
+                  title="Compare your edits with the upstream version"
+                >
+                  <GitCompare size={16} />
+                  {showDiff ? "Hide changes" : "Show changes"}
+                </button>
+                <button
+                  onClick={() => setIsEditing(!isEditing)}
+                  className="px-2 py-1 text-sm rounded flex items-center gap-1 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  title={isEditing ? "Show the rendered instruction" : "Edit the raw markdown"}
+                >
+                  {isEditing ? <Eye size={16} /> : <Pencil size={16} />}
+                  {isEditing ? "Preview" : "Edit"}
+                </button>
+              </div>
+            </div>
+            {variables.length > 0 && (
+              <TemplateVariablesForm variables={variables} values={templateValues} onChange={handleVariableChange} />
+            )}
+            {showDiff && isModified ? (
+              <DiffView before={selectedInstruction.content} after={content} beforeLabel="Upstream" afterLabel="Your version" />
+            ) : !isEditing ? (
+              <MarkdownView key={selectedInstruction.id} content={filledContent} />
+            ) : (
+              <textarea
+                className="w-full p-2 border border-gray-300 rounded bg-white dark:bg-gray-800 dark:border-gray-700 dark:text-gray-100"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows={window.innerWidth < 640 ? 10 : 15}
+              />
+            )}
 
             {/* Tags section moved here */}
             <div className="mt-4 mb-2">
+              {metadata.applyTo && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-1" title="Paths a per-path Copilot export applies to">
+                  Applies to <code>{metadata.applyTo}</code>
+                </p>
+              )}
               <div className="flex items-center gap-2 overflow-x-auto">
                 {selectedInstruction.tags &&
                   selectedInstruction.tags.map((tag) => (
@@ -131,22 +305,108 @@ const SelectedInstructionModal = ({
                   ))}
               </div>
             </div>
+
+            {similarInstructions.length > 0 && (
+              <div className="mt-4 mb-2">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                  Similar instructions
+                </h3>
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {similarInstructions.map((similar) => (
+                    <li key={similar.id}>
+                      <button
+                        onClick={() => onSelectInstruction(similar)}
+                        className="w-full text-left py-1.5 flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400"
+                      >
+                        <span className="font-medium">{similar.title || similar.filename}</span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{similar.category}</span>
+                        <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-200 text-green-800 dark:bg-green-900 dark:text-green-100">
+                          {Math.round(similar.score * 100)}% similar
+                        </span>
+                        {similar.sharedSections.length > 0 && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">
+                            Shared: {similar.sharedSections.join(", ")}
+                          </span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {metadata.lastUpdated && (
+              <div className="mt-4 mb-2">
+                <button
+                  onClick={() => setShowHistory(!showHistory)}
+                  className="flex items-center gap-1 text-sm font-semibold text-gray-900 dark:text-gray-100"
+                >
+                  {showHistory ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                  <History size={16} />
+                  History
+                </button>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Added {formatDate(metadata.created || metadata.lastUpdated)}, last updated{" "}
+                  {formatDate(metadata.lastUpdated)}
+                  {metadata.contributors?.length > 0 && ` by ${metadata.contributors.join(", ")}`}
+                </p>
+                {showHistory && (
+                  <ul className="mt-1 divide-y divide-gray-200 dark:divide-gray-700">
+                    {history.length === 0 && (
+                      <li className="py-1.5 text-sm text-gray-600 dark:text-gray-400">No recorded changes.</li>
+                    )}
+                    {history.map((commit) => (
+                      <li key={commit.hash} className="py-1.5 flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <code className="text-xs text-gray-500 dark:text-gray-400">{commit.hash}</code>
+                        <span className="flex-1">{commit.subject}</span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {commit.author}, {formatDate(commit.date)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
 
           <div className="mt-2 sm:mt-6 border-t dark:border-gray-700 pt-2 sm:pt-4">
             <div className="flex items-center justify-between">
               <p className="text-sm text-gray-600 dark:text-gray-400">
                 Step 1: Click the copy button to copy the instruction (modify if needed). 
-                Step 2: Create a <code>.github/copilot-instructions.md</code> file and paste it.
+                Step 2: Create a <code>.github/copilot-instructions.md</code> file and paste it,
+                or export it for another assistant.
               </p>
-              <button
-                className={`px-3 sm:px-4 py-1.5 sm:py-2 text-sm sm:text-base ${isCopied ? "bg-green-500" : "bg-blue-500"} text-white rounded hover:bg-blue-600 flex items-center justify-center gap-2 dark:bg-blue-600 dark:hover:bg-blue-700`}
-                onClick={onCopy}
-              >
-                {isCopied ? <Check size={16} /> : <Copy size={16} />}
-                {isCopied ? "Copied!" : "Copy"}
-              </button>
+              <div className="flex gap-2">
+                <ExportMenu
+                  instructions={[{ ...selectedInstruction, content: filledContent }]}
+                  className="px-3 sm:px-4 py-1.5 sm:py-2 text-sm sm:text-base rounded text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                />
+                <button
+                  className={`px-3 sm:px-4 py-1.5 sm:py-2 text-sm sm:text-base ${isCopied ? "bg-green-500" : "bg-blue-500"} text-white rounded hover:bg-blue-600 flex items-center justify-center gap-2 dark:bg-blue-600 dark:hover:bg-blue-700`}
+                  onClick={() => onCopy(filledContent)}
+                >
+                  {isCopied ? <Check size={16} /> : <Copy size={16} />}
+                  {isCopied ? "Copied!" : "Copy"}
+                </button>
+              </div>
             </div>
+            {tools.length > 0 && (
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-600 dark:text-gray-400">Open in:</span>
+                {tools.map((tool) => (
+                  <button
+                    key={tool.id}
+                    onClick={() => onStartConversation(tool.name, filledContent)}
+                    className="px-2 py-1 rounded flex items-center gap-1 bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+                    title={`Copy the instruction and open ${tool.name}`}
+                  >
+                    {tool.name}
+                    <ArrowRight size={14} />
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,47 @@
+import React from "react";
+import { SlidersHorizontal } from "lucide-react";
+import { resolveTemplateValues } from "../../utils/templateVariables";
+
+// Inputs for an instruction's {{placeholders}}. Text fields show what the user typed,
+// so they can be cleared; an empty field falls back to the default.
+const TemplateVariablesForm = ({ variables, values, onChange }) => {
+  const resolved = resolveTemplateValues(variables, values);
+  return (
+    <fieldset className="mb-3 p-2 rounded border border-gray-200 dark:border-gray-700">
+      <legend className="px-1 text-sm font-semibold text-gray-900 dark:text-gray-100 flex items-center gap-1">
+        <SlidersHorizontal size={14} />
+        Fill in for your project
+      </legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {variables.map((variable) => (
+          <label key={variable.name} className="flex flex-col gap-0.5 text-sm text-gray-700 dark:text-gray-300">
+            <span title={variable.description || undefined}>{variable.label}</span>
+            {variable.type === "choice" ? (
+              <select
+                value={resolved[variable.name]}
+                onChange={(e) => onChange(variable.name, e.target.value)}
+                className="px-2 py-1 text-sm"
+              >
+                {variable.choices.map((choice) => (
+                  <option key={choice} value={choice}>
+                    {choice}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={variable.type === "number" ? "number" : "text"}
+                value={values[variable.name] || ""}
+                placeholder={variable.default}
+                onChange={(e) => onChange(variable.name, e.target.value)}
+                className="px-2 py-1 text-sm"
+              />
+            )}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+};
+
+export default TemplateVariablesForm;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { Save, Trash2, RotateCcw } from "lucide-react";
+import { loadInstructionVariants, saveInstructionVariants } from "../../utils/localStorage";
+import { useBrowserState } from "../../utils/hydration";
+
+const UPSTREAM = "";
+
+// Save the edited text of an instruction as a named personal variant and load it back later
+const VariantToolbar = ({ instructionId, content, isModified, onLoad }) => {
+  const [allVariants, setAllVariants] = useBrowserState(loadInstructionVariants, {});
+  const [selectedName, setSelectedName] = useState(UPSTREAM);
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState("");
+
+  const variants = allVariants[instructionId] || [];
+
+  const updateVariants = (nextVariants) => {
+    const next = { ...allVariants, [instructionId]: nextVariants };
+    if (nextVariants.length === 0) delete next[instructionId];
+    saveInstructionVariants(next);
+    setAllVariants(next);
+  };
+
+  const handleSelect = (variantName) => {
+    setSelectedName(variantName);
+    const variant = variants.find((item) => item.name === variantName);
+    onLoad(variant ? variant.content : null);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const variant = { name: trimmed, content, savedAt: new Date().toISOString() };
+    // Saving under an existing name overwrites that variant
+    updateVariants([...variants.filter((item) => item.name !== trimmed), variant]);
+    setSelectedName(trimmed);
+    setIsNaming(false);
+    setName("");
+  };
+
+  const handleDelete = () => {
+    updateVariants(variants.filter((item) => item.name !== selectedName));
+    handleSelect(UPSTREAM);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select
+        value={selectedName}
+        onChange={(e) => handleSelect(e.target.value)}
+        className="px-2 py-1 rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+        title="Load a saved variant"
+      >
+        <option value={UPSTREAM}>Upstream version</option>
+        {variants.map((variant) => (
+          <option key={variant.name} value={variant.name}>
+            {variant.name}
+          </option>
+        ))}
+      </select>
+      {selectedName !== UPSTREAM && (
+        <button
+          onClick={handleDelete}
+          className="p-1 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400 rounded"
+          title="Delete this variant"
+        >
+          <Trash2 size={16} />
+        </button>
+      )}
+      {isModified && (
+        <button
+          onClick={() => handleSelect(UPSTREAM)}
+          className="px-2 py-1 rounded flex items-center gap-1 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="Discard edits and restore the upstream version"
+        >
+          <RotateCcw size={16} />
+          Revert
+        </button>
+      )}
+      {isNaming ? (
+        <form onSubmit={handleSave} className="flex items-center gap-1">
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Variant name"
+            className="px-2 py-1 text-sm"
+          />
+          <button type="submit" className="px-2 py-1 rounded bg-blue-500 text-white hover:bg-blue-600">
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsNaming(false)}
+            className="px-2 py-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button
+          onClick={() => {
+            setName(selectedName);
+            setIsNaming(true);
+          }}
+          className="px-2 py-1 rounded flex items-center gap-1 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="Save the current text as a personal variant"
+        >
+          <Save size={16} />
+          Save as variant
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VariantToolbar;
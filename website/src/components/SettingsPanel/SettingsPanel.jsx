@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Settings, X, ArrowUp, ArrowDown, Trash2, Pencil, Plus, Download, Upload } from 'lucide-react';
+import { DEFAULT_TOOLS, URL_PLACEHOLDERS, isValidToolUrl, createToolId } from '../../utils/aiTools';
+import { exportPersonalData, parsePersonalData, summarizePersonalData } from '../../utils/personalData';
+import { downloadFile } from '../../utils/download';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+const emptyForm = { id: null, name: '', url: '' };
+
+// Add or edit one tool; the parent decides whether it is new or replaces an existing one
+const ToolForm = ({ initial, existingNames, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    const url = form.url.trim();
+    if (!name) {
+      setError('Enter a name for the tool.');
+    } else if (existingNames.includes(name.toLowerCase())) {
+      setError(`You already have a tool named "${name}".`);
+    } else if (!isValidToolUrl(url)) {
+      setError('Enter an http or https URL.');
+    } else {
+      onSubmit({ id: form.id || createToolId(), name, url });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2 py-2">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          autoFocus
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name"
+          className="px-2 py-1 text-sm sm:w-40"
+        />
+        <input
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+          placeholder="https://example.com/chat?q={instruction}"
+          className="px-2 py-1 text-sm flex-1"
+        />
+      </div>
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" className="px-2 py-1 text-sm rounded bg-blue-500 text-white hover:bg-blue-600">
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-2 py-1 text-sm rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Export everything to one file, or import one as a merge or a full replacement
+const DataSection = ({ onImportData }) => {
+  const fileInputRef = useRef(null);
+  // Parsed file waiting for the user to choose merge or replace
+  const [pending, setPending] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`copilot-instructions-data-${date}.json`, JSON.stringify(exportPersonalData(), null, 2), 'application/json');
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    // Reset so that choosing the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    file
+      .text()
+      .then((text) => setPending(parsePersonalData(text)))
+      .catch((error) => {
+        setPending(null);
+        setMessage({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+      });
+  };
+
+  const handleImport = (mode) => {
+    try {
+      onImportData(pending.data, mode);
+      setMessage({ type: 'success', text: mode === 'merge' ? 'Imported and merged your data.' : 'Replaced your data.' });
+    } catch (error) {
+      console.error('Error importing personal data:', error);
+      setMessage({ type: 'error', text: 'Import failed; your browser storage may be full.' });
+    }
+    setPending(null);
+  };
+
+  return (
+    <>
+      <h3 className="text-sm font-semibold mt-4">Your data</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+        Favorites, collections, bundle, variants, AI tools and usage stats are kept in this browser. Export them to a file to keep
+        a backup or move them to another browser.
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={handleExport}
+          className="px-2 py-1 text-sm rounded flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          <Download size={16} />
+          Export
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="px-2 py-1 text-sm rounded flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          <Upload size={16} />
+          Import…
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+      </div>
+      {pending && (
+        <div className="mt-2 p-2 rounded border border-gray-200 dark:border-gray-700 text-sm">
+          <p>
+            The file has {summarizePersonalData(pending.data)}
+            {pending.exportedAt && ` and was exported on ${new Date(pending.exportedAt).toLocaleDateString()}`}.
+            Merge it with what is stored here, or replace everything?
+          </p>
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={() => handleImport('merge')}
+              className="px-2 py-1 text-sm rounded bg-blue-500 text-white hover:bg-blue-600"
+            >
+              Merge
+            </button>
+            <button
+              onClick={() => handleImport('replace')}
+              className="px-2 py-1 text-sm rounded bg-red-500 text-white hover:bg-red-600"
+            >
+              Replace
+            </button>
+            <button
+              onClick={() => setPending(null)}
+              className="px-2 py-1 text-sm rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {message && (
+        <p
+          className={`mt-2 text-sm ${
+            message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+    </>
+  );
+};
+
+const SettingsPanel = ({ customTools, onChangeTools, onImportData, onClose }) => {
+  // Id of the tool being edited, 'new' while adding one, or null
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  const namesExcept = (id) =>
+    customTools.filter((tool) => tool.id !== id).map((tool) => tool.name.toLowerCase());
+
+  const handleSave = (savedTool) => {
+    onChangeTools(
+      editingId === 'new'
+        ? [...customTools, savedTool]
+        : customTools.map((tool) => (tool.id === savedTool.id ? savedTool : tool))
+    );
+    setEditingId(null);
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= customTools.length) return;
+    const next = [...customTools];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChangeTools(next);
+  };
+
+  // Built-in tools are edited through a copy, which then takes their place
+  const handleCustomize = (tool) => {
+    const copy = { ...tool, id: createToolId() };
+    onChangeTools([...customTools, copy]);
+    setEditingId(copy.id);
+  };
+
+  const customNames = customTools.map((tool) => tool.name.toLowerCase());
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start sm:items-center justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-2xl p-3 sm:p-6 overflow-hidden shadow-2xl animate-modal-entry">
+          <div className="flex justify-between items-center border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <Settings className="w-5 h-5" />
+              Settings
+            </h2>
+            <button
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+              onClick={onClose}
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+
+          <div className="pt-4 text-gray-900 dark:text-gray-100">
+            <h3 className="text-sm font-semibold">Your AI tools</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+              Tools listed first are preferred when usage is tied. URLs can include{' '}
+              {URL_PLACEHOLDERS.map((placeholder, index) => (
+                <React.Fragment key={placeholder}>
+                  {index > 0 && ' and '}
+                  <code>{placeholder}</code>
+                </React.Fragment>
+              ))}
+              . A tool with the same name as a built-in one replaces it.
+            </p>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {customTools.map((tool, index) =>
+                editingId === tool.id ? (
+                  <li key={tool.id}>
+                    <ToolForm
+                      initial={tool}
+                      existingNames={namesExcept(tool.id)}
+                      onSubmit={handleSave}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  </li>
+                ) : (
+                  <li key={tool.id} className="py-2 flex items-center gap-2">
+                    <span className="text-sm font-medium">{tool.name}</span>
+                    <span className="flex-1 text-xs text-gray-500 dark:text-gray-400 truncate" title={tool.url}>
+                      {tool.url}
+                    </span>
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                      title="Move up"
+                    >
+                      <ArrowUp size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === customTools.length - 1}
+                      className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                      title="Move down"
+                    >
+                      <ArrowDown size={16} />
+                    </button>
+                    <button
+                      onClick={() => setEditingId(tool.id)}
+                      className="p-1 text-gray-400 hover:text-blue-500 rounded"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => onChangeTools(customTools.filter((item) => item.id !== tool.id))}
+                      className="p-1 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400 rounded"
+                      title="Remove"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </li>
+                )
+              )}
+            </ul>
+            {editingId === 'new' ? (
+              <ToolForm
+                initial={emptyForm}
+                existingNames={customNames}
+                onSubmit={handleSave}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <button
+                onClick={() => setEditingId('new')}
+                className="mt-2 px-2 py-1 text-sm rounded flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                <Plus size={16} />
+                Add tool
+              </button>
+            )}
+
+            <h3 className="text-sm font-semibold mt-4">Built-in tools</h3>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {DEFAULT_TOOLS.map((tool) => (
+                <li
+                  key={tool.id}
+                  className={`py-2 flex items-center gap-2 ${customNames.includes(tool.name.toLowerCase()) ? 'opacity-50' : ''}`}
+                >
+                  <span className="text-sm font-medium">{tool.name}</span>
+                  <span className="flex-1 text-xs text-gray-500 dark:text-gray-400 truncate" title={tool.url}>
+                    {tool.url}
+                  </span>
+                  <button
+                    onClick={() => handleCustomize(tool)}
+                    disabled={customNames.includes(tool.name.toLowerCase())}
+                    className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30 rounded"
+                    title="Copy to your tools to edit it"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <DataSection onImportData={onImportData} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
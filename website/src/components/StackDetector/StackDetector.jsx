@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ScanSearch, X, Upload, Layers, Copy, Check } from 'lucide-react';
+import { SUPPORTED_MANIFESTS, parseManifest, mergeStacks, recommendInstructions } from '../../utils/stackDetection';
+import { buildBundle } from '../../utils/bundle';
+import { fillTemplate } from '../../utils/templateVariables';
+import { loadTemplateValues } from '../../utils/localStorage';
+import { disableScroll, enableScroll } from '../../utils/scrollLock';
+import '../../styles/animations.css';
+
+// Read dropped or picked files; unsupported or malformed ones are reported, not fatal
+const readManifests = (files) =>
+  Promise.all(
+    Array.from(files).map(async (file) => {
+      try {
+        return { stack: parseManifest(file.name, await file.text()) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    })
+  );
+
+const StackDetector = ({ instructions, bundleIds, onToggleBundle, onAddToBundle, onSelectInstruction, onClose }) => {
+  const [stacks, setStacks] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isCopied, setIsCopied] = useState(false);
+
+  useEffect(() => {
+    disableScroll();
+    return () => {
+      enableScroll();
+    };
+  }, []);
+
+  const stack = useMemo(() => mergeStacks(stacks), [stacks]);
+  const recommendations = useMemo(
+    () => (stacks.length > 0 ? recommendInstructions(instructions, stack) : []),
+    [instructions, stack, stacks.length]
+  );
+  const recommendedInstructions = recommendations.map(({ instruction }) => instruction);
+
+  const handleFiles = async (files) => {
+    const results = await readManifests(files);
+    const parsed = results.filter((result) => result.stack).map((result) => result.stack);
+    // A manifest dropped again replaces its earlier version
+    setStacks((prev) => [
+      ...prev.filter((item) => !parsed.some((next) => next.manifest === item.manifest)),
+      ...parsed,
+    ]);
+    setErrors(results.filter((result) => result.error).map((result) => result.error));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleCopyAll = () => {
+    const templateValues = loadTemplateValues();
+    const [first] = recommendedInstructions;
+    const content =
+      recommendedInstructions.length === 1
+        ? fillTemplate(first.content, first.variables, templateValues)
+        : buildBundle(recommendedInstructions, templateValues);
+    navigator.clipboard.writeText(content).then(() => {
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-75 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div className="flex min-h-screen items-start sm:items-center justify-center p-2 sm:p-4">
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl w-full max-w-3xl p-3 sm:p-6 overflow-hidden shadow-2xl animate-modal-entry">
+          <div className="flex justify-between items-center border-b dark:border-gray-700 pb-2">
+            <h2 className="text-lg font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+              <ScanSearch className="w-5 h-5" />
+              Detect my stack
+            </h2>
+            <button
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors duration-200"
+              onClick={onClose}
+              title="Close"
+            >
+              <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
+
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`mt-4 flex flex-col items-center justify-center gap-1 p-6 rounded-lg border-2 border-dashed cursor-pointer text-center ${
+              isDragging
+                ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30'
+                : 'border-gray-300 dark:border-gray-600 hover:border-blue-400'
+            }`}
+          >
+            <Upload className="w-6 h-6 text-gray-400" />
+            <span className="text-sm text-gray-700 dark:text-gray-300">
+              Drop your project manifests here or click to choose them
+            </span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {SUPPORTED_MANIFESTS.join(', ')}. Files are read in your browser and never uploaded.
+            </span>
+            <input
+              type="file"
+              multiple
+              className="sr-only"
+              onChange={(e) => {
+                handleFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </label>
+
+          {errors.map((error) => (
+            <p key={error} className="mt-2 text-sm text-red-600 dark:text-red-400">
+              {error}
+            </p>
+          ))}
+
+          {stacks.length > 0 && (
+            <div className="mt-4">
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                {stacks.map((item) => (
+                  <span
+                    key={item.manifest}
+                    className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                    title={item.dependencies.join(', ')}
+                  >
+                    {item.manifest}: {item.language}, {item.dependencies.length} dependencies
+                  </span>
+                ))}
+                <button
+                  onClick={() => {
+                    setStacks([]);
+                    setErrors([]);
+                  }}
+                  className="px-2 py-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  Clear
+                </button>
+              </div>
+
+              {recommendations.length === 0 ? (
+                <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+                  No instructions in the collection match these dependencies yet.
+                </p>
+              ) : (
+                <>
+                  <ul className="mt-2 max-h-96 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+                    {recommendations.map(({ instruction, reasons }) => {
+                      const isInBundle = bundleIds.includes(instruction.id);
+                      return (
+                        <li key={instruction.id} className="py-2 flex items-center gap-2">
+                          <button
+                            onClick={() => onSelectInstruction(instruction)}
+                            className="flex-1 text-left text-gray-900 dark:text-gray-100 hover:text-blue-600 dark:hover:text-blue-400"
+                          >
+                            <span className="block text-sm font-medium">{instruction.title || instruction.filename}</span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                              {instruction.category} · {reasons.join(', ')}
+                            </span>
+                          </button>
+                          <button
+                            onClick={() => onToggleBundle(instruction)}
+                            className={`px-2 py-1 text-xs rounded flex items-center gap-1 ${
+                              isInBundle
+                                ? 'bg-purple-500 text-white hover:bg-purple-600'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300'
+                            }`}
+                            title={isInBundle ? 'Remove from bundle' : 'Add to bundle'}
+                          >
+                            <Layers size={14} />
+                            {isInBundle ? 'In bundle' : 'Bundle'}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  <div className="mt-4 border-t dark:border-gray-700 pt-4 flex flex-wrap justify-end gap-2">
+                    <button
+                      onClick={() => onAddToBundle(recommendedInstructions)}
+                      className="px-3 py-2 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 flex items-center gap-2"
+                    >
+                      <Layers size={16} />
+                      Add all to bundle
+                    </button>
+                    <button
+                      onClick={handleCopyAll}
+                      className={`px-3 py-2 text-sm ${isCopied ? 'bg-green-500' : 'bg-blue-500'} text-white rounded hover:bg-blue-600 flex items-center gap-2`}
+                    >
+                      {isCopied ? <Check size={16} /> : <Copy size={16} />}
+                      {isCopied ? 'Copied!' : 'Copy all'}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StackDetector;
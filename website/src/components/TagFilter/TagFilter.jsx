@@ -3,9 +3,40 @@ import '../../styles/animations.css';
 import ShareButton from '../ShareButton/ShareButton';
 import { Heart } from 'lucide-react';
 
-const TagFilter = ({ tags, selectedTags, onTagToggle, showAllTags, onToggleShowAllTags, tagCounts, showShareButton, favoriteInstructions }) => {
+const TagFilter = ({ tags, taxonomy, selectedTags, onTagToggle, showAllTags, onToggleShowAllTags, tagCounts, showShareButton, favoriteInstructions }) => {
   const baseClass = "text-sm px-3 py-1 rounded-full cursor-pointer";
 
+  const renderTag = (tag, isChild) => {
+    const extraClasses = selectedTags.includes(tag)
+      ? "bg-blue-500 text-white font-bold"
+      : "bg-gray-200 text-gray-800";
+    return (
+      <button
+        key={tag}
+        onClick={() => onTagToggle(tag)}
+        className={`${baseClass} ${extraClasses} ${isChild ? "text-xs px-2" : ""}`}
+        title={`Filter by ${tag} instructions`}
+        aria-pressed={selectedTags.includes(tag)}
+      >
+        {tag} ({tagCounts[tag] || 0})
+      </button>
+    );
+  };
+
+  // Child tags such as Next.js sit inside their parent's group: JavaScript › React › Next.js
+  const renderGroup = ({ tag, children }, isChild = false) => {
+    if (children.length === 0) return renderTag(tag, isChild);
+    return (
+      <span
+        key={tag}
+        className="inline-flex flex-wrap items-center gap-1 p-0.5 rounded-full border border-gray-300 dark:border-gray-600"
+      >
+        {renderTag(tag, isChild)}
+        {children.map((child) => renderGroup(child, true))}
+      </span>
+    );
+  };
+
   return (
     <div className={`space-y-${selectedTags.length > 0 ? '2' : '6'}`}>
       <div className="flex justify-end items-center">
@@ -20,33 +51,20 @@ const TagFilter = ({ tags, selectedTags, onTagToggle, showAllTags, onToggleShowA
       <div className={`relative ${selectedTags.length > 0 ? 'min-h-[50px]' : 'min-h-[100px]'} overflow-hidden`}>
         <div className="flex flex-wrap gap-2 justify-center items-center p-2">
           {/* Favorites tag */}
-          <span
+          <button
             onClick={() => onTagToggle('favorites')}
             className={`${baseClass} ${
               selectedTags.includes('favorites')
                 ? "bg-red-500 text-white font-bold"
                 : "bg-gray-200 text-gray-800"
             } flex items-center gap-1`}
+            aria-pressed={selectedTags.includes('favorites')}
           >
             <Heart size={14} className={selectedTags.includes('favorites') ? "fill-current" : ""} />
             Favorites ({favoriteInstructions.length})
-          </span>
-          {/* Regular tags */}
-          {tags.map((tag) => {
-            const extraClasses = selectedTags.includes(tag)
-              ? "bg-blue-500 text-white font-bold"
-              : "bg-gray-200 text-gray-800";
-            return (
-              <span
-                key={tag}
-                onClick={() => onTagToggle(tag)}
-                className={`${baseClass} ${extraClasses}`}
-                title={`Filter by ${tag} instructions`}
-              >
-                {tag} ({tagCounts[tag] || 0})
-              </span>
-            );
-          })}
+          </button>
+          {/* Regular tags, grouped by the taxonomy */}
+          {taxonomy.groupTags(tags).map((group) => renderGroup(group))}
           <button
             onClick={onToggleShowAllTags}
             className="text-sm px-3 py-1 text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
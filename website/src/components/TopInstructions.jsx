@@ -1,7 +1,7 @@
 import React from 'react';
-import { Trash2, Zap, Heart } from 'lucide-react';
+import { Trash2, Zap, Heart, Bell } from 'lucide-react';
 
-const InstructionList = ({ instructions, handleSelectInstruction, title, onRemoveFavorite, icon: Icon }) => {
+const InstructionList = ({ instructions, handleSelectInstruction, title, onRemoveFavorite, icon: Icon, changedInstructionIds = [], onShowChanges }) => {
   if (!instructions || instructions.length === 0) return null;
   return (
     <div className="w-full p-6 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-sm">
@@ -12,7 +12,7 @@ const InstructionList = ({ instructions, handleSelectInstruction, title, onRemov
       <ul className="divide-y divide-gray-200 dark:divide-gray-700">
         {instructions.map((instruction) => (
           <li
-            key={instruction.filename}
+            key={instruction.id}
             className="py-2 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-900 dark:text-gray-100"
           >
             <div className="flex items-center gap-2">
@@ -37,6 +37,18 @@ const InstructionList = ({ instructions, handleSelectInstruction, title, onRemov
                   </span>
                 );
               })}
+              {onShowChanges && changedInstructionIds.includes(instruction.id) && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onShowChanges(instruction);
+                  }}
+                  className="p-1 text-amber-500 hover:text-amber-600 rounded"
+                  title="Changed since you last used it"
+                >
+                  <Bell size={16} />
+                </button>
+              )}
               <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-200 text-green-800 dark:bg-green-900 dark:text-green-100">
                 {instruction.usageCount !== undefined ? instruction.usageCount : 0} { (instruction.usageCount === 0) ? <span role="img" aria-label="no usage">😴</span> : <span role="img" aria-label="usage count">🔥</span> }
               </span>
@@ -60,7 +72,7 @@ const InstructionList = ({ instructions, handleSelectInstruction, title, onRemov
   );
 };
 
-const TopInstructions = ({ topInstructions, favoriteInstructions, handleSelectInstruction, onRemoveFavorite }) => {
+const TopInstructions = ({ topInstructions, favoriteInstructions, handleSelectInstruction, onRemoveFavorite, changedInstructionIds, onShowChanges }) => {
   return (
     <section className="mt-8">
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -69,6 +81,8 @@ const TopInstructions = ({ topInstructions, favoriteInstructions, handleSelectIn
           handleSelectInstruction={handleSelectInstruction}
           title="Top 5 Frequent Instructions"
           icon={Zap}
+          changedInstructionIds={changedInstructionIds}
+          onShowChanges={onShowChanges}
         />
         <InstructionList
           instructions={favoriteInstructions}
@@ -76,6 +90,8 @@ const TopInstructions = ({ topInstructions, favoriteInstructions, handleSelectIn
           title={`Favorite Instructions (${favoriteInstructions?.length || 0})`}
           onRemoveFavorite={onRemoveFavorite}
           icon={Heart}
+          changedInstructionIds={changedInstructionIds}
+          onShowChanges={onShowChanges}
         />
       </div>
     </section>
@@ -0,0 +1,39 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { registerServiceWorker, applyUpdate } from '../../utils/serviceWorker';
+
+// Shown when a newer build of the site, and with it a newer catalog, is ready
+const UpdatePrompt = () => {
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker(setRegistration);
+  }, []);
+
+  if (!registration) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 text-sm"
+    >
+      <span>A new version of the catalog is available.</span>
+      <button
+        onClick={() => applyUpdate(registration)}
+        className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 flex items-center gap-1"
+      >
+        <RefreshCw size={14} />
+        Reload
+      </button>
+      <button
+        onClick={() => setRegistration(null)}
+        className="p-1 rounded hover:bg-gray-700 dark:hover:bg-gray-300"
+        title="Dismiss"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import Root from './Root';
+import { setHydratingPath } from './utils/hydration';
+
+// The markup of the page at pagePath, as the browser renders it first when hydrating.
+// scripts/prerender.js calls this with window and localStorage standing in for a browser.
+export const render = (pagePath) => {
+  setHydratingPath(pagePath);
+  try {
+    return renderToString(<Root />);
+  } finally {
+    setHydratingPath(null);
+  }
+};
@@ -1,16 +1,18 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App';
+import Root from './Root';
+import { setHydratingPath } from './utils/hydration';
 import './styles/theme.css';
 import './styles/animations.css';
 import './index.css';
-import { Analytics } from "@vercel/analytics/react";
-import { SpeedInsights } from "@vercel/speed-insights/react";
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <Analytics/>
-    <SpeedInsights/>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+const container = document.getElementById('root');
+
+// Pages written by scripts/prerender.js hold the app's markup for their path, and
+// are hydrated; 404.html, served for every other path, starts empty
+if (container.dataset.path) {
+  setHydratingPath(container.dataset.path);
+  ReactDOM.hydrateRoot(container, <Root />);
+} else {
+  ReactDOM.createRoot(container).render(<Root />);
+}
@@ -0,0 +1,44 @@
+import defaultTools from '../data/ai-tools.json';
+
+// Tool URLs may contain these placeholders; values are URL-encoded when filled in
+export const URL_PLACEHOLDERS = ['{instruction}', '{title}'];
+
+// Browsers and servers reject very long URLs. Past this length the instruction is
+// left out of the URL and the user pastes it from the clipboard instead.
+const MAX_URL_LENGTH = 8000;
+const CLIPBOARD_HINT = 'Paste the instruction from your clipboard';
+
+export const DEFAULT_TOOLS = defaultTools.tools;
+
+/**
+ * The tools offered in the UI: the user's own tools first, in their order, then the
+ * bundled defaults. A user tool with the same name as a default replaces it.
+ */
+export const getAllTools = (customTools = []) => {
+  const customNames = new Set(customTools.map((tool) => tool.name.toLowerCase()));
+  return [...customTools, ...DEFAULT_TOOLS.filter((tool) => !customNames.has(tool.name.toLowerCase()))];
+};
+
+export const isValidToolUrl = (url) => {
+  try {
+    const { protocol } = new URL(url.replace(/\{\w+\}/g, 'x'));
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? encodeURIComponent(values[key]) : placeholder
+  );
+
+// Build the URL that opens a tool with the given instruction text
+export const buildToolUrl = (tool, instruction, content = instruction.content) => {
+  const title = instruction.title || instruction.filename || '';
+  const url = fillTemplate(tool.url, { instruction: content, title });
+  if (url.length <= MAX_URL_LENGTH) return url;
+  return fillTemplate(tool.url, { instruction: CLIPBOARD_HINT, title });
+};
+
+export const createToolId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
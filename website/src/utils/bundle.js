@@ -0,0 +1,92 @@
+import { parseSections, parseBlocks, normalizeHeading, normalizeBullet } from './markdownSections.js';
+import { fillTemplate } from './templateVariables.js';
+
+export const BUNDLE_FILENAME = 'copilot-instructions.md';
+
+const INTRO_HEADING = 'Overview';
+
+const blockKey = (block) =>
+  block.type === 'bullet' ? `bullet:${normalizeBullet(block.text)}` : `${block.type}:${block.text.trim()}`;
+
+const sourceName = (instruction) => instruction.title || instruction.filename || instruction.id;
+
+// Join blocks so that consecutive bullets stay in one list
+const renderBlocks = (blocks) =>
+  blocks.reduce((out, block, index) => {
+    if (index === 0) return block.text;
+    const separator = block.type === 'bullet' && blocks[index - 1].type === 'bullet' ? '\n' : '\n\n';
+    return `${out}${separator}${block.text}`;
+  }, '');
+
+/**
+ * Merge several instructions into one copilot-instructions document.
+ * Sections with the same `##` heading are combined, duplicate bullets are
+ * dropped and every section lists the instructions it was built from.
+ * Template placeholders are filled with `templateValues`, or their defaults.
+ */
+export const buildBundle = (instructions, templateValues = {}) => {
+  const sections = new Map();
+
+  const addBlocks = (heading, instruction, blocks) => {
+    const key = normalizeHeading(heading);
+    if (!sections.has(key)) {
+      sections.set(key, { heading, sources: [], groups: new Map(), seen: new Set() });
+    }
+    const section = sections.get(key);
+    const source = sourceName(instruction);
+    if (blocks.length > 0 && !section.sources.includes(source)) {
+      section.sources.push(source);
+    }
+
+    // `###` sub-headings open a group that collects the blocks under them
+    let groupKey = '';
+    blocks.forEach((block) => {
+      if (block.type === 'heading') {
+        groupKey = normalizeHeading(block.text);
+        if (!section.groups.has(groupKey)) {
+          section.groups.set(groupKey, { heading: block.text, blocks: [] });
+        }
+        return;
+      }
+      if (!section.groups.has(groupKey)) {
+        section.groups.set(groupKey, { heading: null, blocks: [] });
+      }
+      const dedupeKey = `${groupKey}\u0000${blockKey(block)}`;
+      if (section.seen.has(dedupeKey)) return;
+      section.seen.add(dedupeKey);
+      section.groups.get(groupKey).blocks.push(block);
+    });
+  };
+
+  instructions.forEach((instruction) => {
+    const { intro, sections: parsed } = parseSections(
+      fillTemplate(instruction.content, instruction.variables, templateValues)
+    );
+    if (intro) {
+      addBlocks(INTRO_HEADING, instruction, parseBlocks(intro));
+    }
+    parsed.forEach(({ heading, body }) => addBlocks(heading, instruction, parseBlocks(body)));
+  });
+
+  const header = [
+    '# GitHub Copilot Instructions',
+    '',
+    `Combined from: ${instructions.map(sourceName).join(', ')}`
+  ].join('\n');
+
+  const body = [...sections.values()]
+    .filter((section) => section.sources.length > 0)
+    .map((section) => {
+      // Ungrouped blocks first, then each `###` group in order of appearance
+      const groups = [...section.groups.entries()]
+        .sort(([a], [b]) => (a === '' ? -1 : b === '' ? 1 : 0))
+        .map(([, group]) => group)
+        .filter((group) => group.blocks.length > 0 || group.heading);
+      const parts = groups.map((group) =>
+        [group.heading, renderBlocks(group.blocks)].filter(Boolean).join('\n\n')
+      );
+      return [`## ${section.heading}`, `_Sources: ${section.sources.join(', ')}_`, ...parts].join('\n\n');
+    });
+
+  return `${[header, ...body].join('\n\n')}\n`;
+};
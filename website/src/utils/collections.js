@@ -0,0 +1,71 @@
+// Named, ordered collections of instructions with a note per instruction:
+// [{ id, name, items: [{ id, note }], updatedAt }], stored under "instructionCollections".
+
+export const createCollectionId = () =>
+  `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createCollection = (name, items = []) => ({
+  id: createCollectionId(),
+  name,
+  items,
+  updatedAt: new Date().toISOString(),
+});
+
+export const updateCollection = (collection, changes) => ({
+  ...collection,
+  ...changes,
+  updatedAt: new Date().toISOString(),
+});
+
+export const toggleInCollection = (collection, instructionId) =>
+  updateCollection(collection, {
+    items: collection.items.some((item) => item.id === instructionId)
+      ? collection.items.filter((item) => item.id !== instructionId)
+      : [...collection.items, { id: instructionId, note: '' }],
+  });
+
+// A name that is not taken yet: "Mobile starter", then "Mobile starter (2)"
+export const uniqueCollectionName = (name, collections) => {
+  const taken = new Set(collections.map((collection) => collection.name.toLowerCase()));
+  let candidate = name;
+  for (let number = 2; taken.has(candidate.toLowerCase()); number++) {
+    candidate = `${name} (${number})`;
+  }
+  return candidate;
+};
+
+// Items with their instruction, skipping ids that are no longer in the catalog
+export const resolveCollection = (collection, instructions) =>
+  collection.items
+    .map((item) => ({ ...item, instruction: instructions.find((instruction) => instruction.id === item.id) }))
+    .filter((item) => item.instruction);
+
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+/**
+ * Pack a collection's name, order and notes into a URL-safe string. Items without
+ * a note are written as their bare id to keep links short.
+ */
+export const encodeCollection = ({ name, items }) =>
+  toBase64Url(JSON.stringify({ n: name, i: items.map(({ id, note }) => (note ? [id, note] : id)) }));
+
+// The { name, items } of a shared link, or null when it is not a valid one
+export const decodeCollection = (encoded) => {
+  try {
+    const { n: name, i: items } = JSON.parse(fromBase64Url(encoded));
+    if (typeof name !== 'string' || !Array.isArray(items)) return null;
+    const decoded = items.map((item) => (Array.isArray(item) ? { id: item[0], note: item[1] } : { id: item, note: '' }));
+    if (decoded.some((item) => typeof item.id !== 'string' || typeof item.note !== 'string')) return null;
+    return { name, items: decoded };
+  } catch {
+    return null;
+  }
+};
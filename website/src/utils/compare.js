@@ -0,0 +1,96 @@
+import { parseSections, parseBlocks, normalizeHeading, normalizeBullet } from './markdownSections.js';
+
+export const MAX_COMPARED = 3;
+
+const INTRO_HEADING = 'Overview';
+
+// Share of words two blocks need in common to count as the same rule, reworded
+const CHANGED_THRESHOLD = 0.5;
+
+const wordsOf = (text) => new Set(text.toLowerCase().match(/[a-z0-9+#]+/g) || []);
+
+// Jaccard similarity of two word sets
+const overlap = (a, b) => {
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared++;
+  });
+  return shared === 0 ? 0 : shared / (a.size + b.size - shared);
+};
+
+// Blocks of every section keyed by normalized heading; repeated headings are joined
+const sectionsOf = (instruction) => {
+  const { intro, sections } = parseSections(instruction.content);
+  const result = new Map();
+  [{ heading: INTRO_HEADING, body: intro }, ...sections].forEach(({ heading, body }) => {
+    const blocks = parseBlocks(body).map((block) => {
+      const text = block.type === 'bullet' ? block.text.replace(/^\s*([-*+]|\d+[.)])\s+/, '') : block.text;
+      return {
+        type: block.type,
+        text,
+        key: block.type === 'bullet' ? normalizeBullet(block.text) : `${block.type}:${block.text.trim()}`,
+        words: wordsOf(text),
+      };
+    });
+    if (blocks.length === 0) return;
+    const key = normalizeHeading(heading);
+    if (result.has(key)) {
+      result.get(key).blocks.push(...blocks);
+    } else {
+      result.set(key, { heading, blocks });
+    }
+  });
+  return result;
+};
+
+// "same" when another instruction has the block word for word, "changed" when one
+// has a similar block, "unique" otherwise
+const classify = (block, otherColumns) => {
+  const others = otherColumns.flat();
+  if (others.some((other) => other.key === block.key)) return 'same';
+  if (others.some((other) => overlap(block.words, other.words) >= CHANGED_THRESHOLD)) return 'changed';
+  return 'unique';
+};
+
+const METADATA_FIELDS = [
+  { label: 'Category', value: (instruction) => instruction.category },
+  { label: 'Language', value: (instruction) => instruction.metadata?.language },
+  { label: 'Framework', value: (instruction) => instruction.metadata?.framework },
+  { label: 'Difficulty', value: (instruction) => instruction.metadata?.difficulty },
+  { label: 'Editors', value: (instruction) => (instruction.metadata?.compatibility || []).join(', ') },
+  { label: 'Applies to', value: (instruction) => instruction.metadata?.applyTo },
+  { label: 'Tags', value: (instruction) => (instruction.tags || []).join(', ') },
+  { label: 'Last updated', value: (instruction) => instruction.metadata?.lastUpdated?.slice(0, 10) },
+];
+
+/**
+ * Line up instructions by `##` section for a side-by-side view.
+ * Returns { sections: [{ key, heading, columns }], metadata: [{ label, values, isDifferent }] }
+ * where every column is null when that instruction lacks the section, or its blocks
+ * as [{ type, text, status }] with status "same", "changed" or "unique".
+ * Sections follow the order they first appear in, left to right.
+ */
+export const compareInstructions = (instructions) => {
+  const parsed = instructions.map(sectionsOf);
+  const keys = [...new Set(parsed.flatMap((sections) => [...sections.keys()]))];
+
+  const sections = keys.map((key) => {
+    const blocksByColumn = parsed.map((sections) => (sections.has(key) ? sections.get(key).blocks : null));
+    return {
+      key,
+      heading: parsed.find((sections) => sections.has(key)).get(key).heading,
+      columns: blocksByColumn.map((blocks, index) => {
+        if (!blocks) return null;
+        const otherColumns = blocksByColumn.filter((other, otherIndex) => other && otherIndex !== index);
+        return blocks.map((block) => ({ type: block.type, text: block.text, status: classify(block, otherColumns) }));
+      }),
+    };
+  });
+
+  const metadata = METADATA_FIELDS.map(({ label, value }) => {
+    const values = instructions.map((instruction) => value(instruction) || '');
+    return { label, values, isDifferent: new Set(values).size > 1 };
+  });
+
+  return { sections, metadata };
+};
@@ -0,0 +1,35 @@
+// Line diff based on the longest common subsequence. Instructions are a few
+// hundred lines at most, so the quadratic table is cheap enough.
+export const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+};
+
+export const hasChanges = (lines) => lines.some((line) => line.type !== 'same');
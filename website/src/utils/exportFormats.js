@@ -0,0 +1,154 @@
+// Converters from instructions to the rule formats of other coding assistants.
+// This module is shared with scripts/instructions_cli.js, so imports keep their
+// `.js` extension.
+import { buildBundle } from './bundle.js';
+import { parseSections, stripTitle, shiftHeadings } from './markdownSections.js';
+import { fillTemplate } from './templateVariables.js';
+
+const BUNDLE_TITLE = 'Project Instructions';
+
+// Matches scripts/apply_to.js, for instructions generated before applyTo existed
+const DEFAULT_APPLY_TO = '**';
+
+// YAML double-quoted scalars accept JSON string syntax
+const yamlString = (value) => JSON.stringify(value || '');
+
+const frontmatter = (fields) =>
+  ['---', ...Object.entries(fields).map(([key, value]) => (value === '' ? `${key}:` : `${key}: ${value}`)), '---'].join('\n');
+
+// The document's own `# Title` reads better than the filename-based title most instructions get
+const titleOf = (instruction) =>
+  parseSections(instruction.content).title || instruction.title || instruction.filename || instruction.id;
+
+// Descriptions default to the first line of the content, which is usually the `# Title`
+const applyToOf = (instruction) => instruction.metadata?.applyTo || DEFAULT_APPLY_TO;
+
+const appliesEverywhere = (instruction) => applyToOf(instruction) === DEFAULT_APPLY_TO;
+
+const descriptionOf = (instruction) =>
+  (instruction.description || titleOf(instruction)).replace(/^#+\s*/, '').replace(/\s+/g, ' ').trim();
+
+// Title and `##` sections of the combined document; several instructions are merged
+// the same way as a bundle
+const combine = (instructions) =>
+  instructions.length === 1
+    ? { title: titleOf(instructions[0]), body: stripTitle(instructions[0].content) }
+    : { title: BUNDLE_TITLE, body: stripTitle(buildBundle(instructions)) };
+
+const singleFile = (path, render) => (instructions) => [{ path, content: `${render(combine(instructions)).trim()}\n` }];
+
+const filePerInstruction = (pathFor, render) => (instructions) =>
+  instructions.map((instruction) => ({ path: pathFor(instruction), content: `${render(instruction).trim()}\n` }));
+
+/**
+ * Every export target. `convert(instructions)` returns the files to write as
+ * [{ path, content }], with paths relative to the repository root.
+ */
+export const EXPORT_FORMATS = [
+  {
+    id: 'copilot',
+    label: 'GitHub Copilot',
+    location: '.github/copilot-instructions.md',
+    convert: singleFile('.github/copilot-instructions.md', ({ title, body }) => `# ${title}\n\n${body}`),
+  },
+  {
+    id: 'copilot-scoped',
+    label: 'GitHub Copilot, per path',
+    location: '.github/instructions/*.instructions.md',
+    // Copilot only applies each file to the paths matching its applyTo globs
+    convert: filePerInstruction(
+      (instruction) => `.github/instructions/${instruction.id}.instructions.md`,
+      (instruction) =>
+        `${frontmatter({
+          applyTo: yamlString(applyToOf(instruction)),
+          description: yamlString(descriptionOf(instruction)),
+        })}\n\n${instruction.content.trim()}`
+    ),
+  },
+  {
+    id: 'cursorrules',
+    label: 'Cursor (.cursorrules)',
+    location: '.cursorrules',
+    convert: singleFile('.cursorrules', ({ title, body }) => `# ${title}\n\n${body}`),
+  },
+  {
+    id: 'cursor',
+    label: 'Cursor project rules',
+    location: '.cursor/rules/*.mdc',
+    // Cursor shows the description in place of the title. It reads globs as a
+    // plain comma separated list, so they are not quoted.
+    convert: filePerInstruction(
+      (instruction) => `.cursor/rules/${instruction.id}.mdc`,
+      (instruction) =>
+        `${frontmatter({
+          description: yamlString(descriptionOf(instruction)),
+          globs: appliesEverywhere(instruction) ? '' : applyToOf(instruction),
+          alwaysApply: appliesEverywhere(instruction),
+        })}\n\n${stripTitle(instruction.content)}`
+    ),
+  },
+  {
+    id: 'windsurf',
+    label: 'Windsurf rules',
+    location: '.windsurf/rules/*.md',
+    convert: filePerInstruction(
+      (instruction) => `.windsurf/rules/${instruction.id}.md`,
+      (instruction) =>
+        `${frontmatter(
+          appliesEverywhere(instruction)
+            ? { trigger: 'always_on', description: yamlString(descriptionOf(instruction)) }
+            : { trigger: 'glob', globs: applyToOf(instruction), description: yamlString(descriptionOf(instruction)) }
+        )}\n\n${instruction.content.trim()}`
+    ),
+  },
+  {
+    id: 'agents',
+    label: 'AGENTS.md',
+    location: 'AGENTS.md',
+    convert: singleFile('AGENTS.md', ({ title, body }) => `# ${title}\n\n${body}`),
+  },
+  {
+    id: 'claude',
+    label: 'CLAUDE.md',
+    location: 'CLAUDE.md',
+    // The file keeps its conventional heading; the instructions become one section under it
+    convert: singleFile(
+      'CLAUDE.md',
+      ({ title, body }) =>
+        `# CLAUDE.md\n\nThis file provides guidance to Claude Code (claude.ai/code) when working with code in this repository.\n\n## ${title}\n\n${shiftHeadings(body, 1)}`
+    ),
+  },
+  {
+    id: 'continue',
+    label: 'Continue rules',
+    location: '.continue/rules/*.md',
+    convert: filePerInstruction(
+      (instruction) => `.continue/rules/${instruction.id}.md`,
+      (instruction) =>
+        `${frontmatter({
+          name: yamlString(titleOf(instruction)),
+          description: yamlString(descriptionOf(instruction)),
+          ...(appliesEverywhere(instruction)
+            ? { alwaysApply: true }
+            : { globs: yamlString(applyToOf(instruction)), alwaysApply: false }),
+        })}\n\n${stripTitle(instruction.content)}`
+    ),
+  },
+];
+
+export const findExportFormat = (id) => EXPORT_FORMATS.find((format) => format.id === id);
+
+// The files of a format, with template placeholders filled from `templateValues`
+// or, where the user gave no value, the instruction's defaults
+export const exportInstructions = (formatId, instructions, templateValues = {}) => {
+  const format = findExportFormat(formatId);
+  if (!format) {
+    throw new Error(`Unknown export format "${formatId}". Formats: ${EXPORT_FORMATS.map((item) => item.id).join(', ')}`);
+  }
+  return format.convert(
+    instructions.map((instruction) => ({
+      ...instruction,
+      content: fillTemplate(instruction.content, instruction.variables, templateValues),
+    }))
+  );
+};
@@ -0,0 +1,122 @@
+// Facets over instruction metadata for the filter sidebar. Values within a facet
+// are alternatives (Python or Go); different facets must all match.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The generator's language when the frontmatter names none
+const DEFAULT_LANGUAGE = 'General';
+
+export const UPDATED_WITHIN = [
+  { value: '7', label: 'Past week' },
+  { value: '30', label: 'Past month' },
+  { value: '90', label: 'Past 3 months' },
+  { value: '365', label: 'Past year' },
+];
+
+// `param` is the facet's URL search parameter; `single` facets take one value at a time
+export const FACETS = [
+  { id: 'language', label: 'Language', param: 'language' },
+  { id: 'framework', label: 'Framework', param: 'framework' },
+  { id: 'difficulty', label: 'Difficulty', param: 'difficulty' },
+  { id: 'compatibility', label: 'Editor', param: 'editor' },
+  { id: 'category', label: 'Category', param: 'category' },
+  { id: 'updated', label: 'Updated within', param: 'updated', single: true },
+];
+
+const tagsOfKind = (instruction, taxonomy, kind) =>
+  (instruction.tags || []).filter((tag) => taxonomy.kindOf(tag) === kind);
+
+/**
+ * Values an instruction has for a facet. Language and framework come from the
+ * frontmatter when given, otherwise from the instruction's taxonomy tags.
+ * For "updated" they are the UPDATED_WITHIN windows its last update falls in.
+ */
+export const getFacetValues = (instruction, facetId, { taxonomy, now = Date.now() }) => {
+  const metadata = instruction.metadata || {};
+  switch (facetId) {
+    case 'language': {
+      if (metadata.language && metadata.language !== DEFAULT_LANGUAGE) return [taxonomy.canonicalTag(metadata.language)];
+      const languages = tagsOfKind(instruction, taxonomy, 'language');
+      return languages.length > 0 ? languages : [DEFAULT_LANGUAGE];
+    }
+    case 'framework':
+      return metadata.framework ? [taxonomy.canonicalTag(metadata.framework)] : tagsOfKind(instruction, taxonomy, 'framework');
+    case 'difficulty':
+      return metadata.difficulty ? [metadata.difficulty] : [];
+    case 'compatibility':
+      return metadata.compatibility || [];
+    case 'category':
+      return [instruction.category];
+    case 'updated': {
+      const age = now - new Date(metadata.lastUpdated).getTime();
+      return UPDATED_WITHIN.filter(({ value }) => age <= Number(value) * DAY).map(({ value }) => value);
+    }
+    default:
+      return [];
+  }
+};
+
+export const hasFacetFilters = (filters) => Object.values(filters).some((values) => values.length > 0);
+
+const matchesFacet = (instruction, facetId, selected, options) =>
+  selected.length === 0 || getFacetValues(instruction, facetId, options).some((value) => selected.includes(value));
+
+export const matchesFacets = (instruction, filters, options) =>
+  FACETS.every(({ id }) => matchesFacet(instruction, id, filters[id] || [], options));
+
+/**
+ * Count the values of every facet as [{ value, count }]. A facet's counts apply all
+ * the other facets' filters but not its own, so they show what selecting a value
+ * would add. Selected values are always listed, even when nothing matches.
+ */
+export const countFacetValues = (instructions, filters, options) =>
+  FACETS.reduce((result, facet) => {
+    const counts = new Map((filters[facet.id] || []).map((value) => [value, 0]));
+    instructions
+      .filter((instruction) =>
+        FACETS.every(({ id }) => id === facet.id || matchesFacet(instruction, id, filters[id] || [], options))
+      )
+      .forEach((instruction) => {
+        new Set(getFacetValues(instruction, facet.id, options)).forEach((value) => {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+
+    const entries = [...counts].map(([value, count]) => ({ value, count }));
+    result[facet.id] =
+      facet.id === 'updated'
+        ? UPDATED_WITHIN.map(({ value }) => entries.find((entry) => entry.value === value) || { value, count: 0 })
+        : entries.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return result;
+  }, {});
+
+export const toggleFacetValue = (filters, facetId, value) => {
+  const facet = FACETS.find(({ id }) => id === facetId);
+  const selected = filters[facetId] || [];
+  let next;
+  if (selected.includes(value)) {
+    next = selected.filter((item) => item !== value);
+  } else {
+    next = facet && facet.single ? [value] : [...selected, value];
+  }
+  return { ...filters, [facetId]: next };
+};
+
+// Read ?language=Python,Go&editor=Neovim; language and framework aliases are resolved
+export const readFacetFilters = (searchParams, taxonomy) =>
+  FACETS.reduce((filters, { id, param }) => {
+    const values = (searchParams.get(param) || '').split(',').filter(Boolean);
+    filters[id] = id === 'language' || id === 'framework' ? values.map((value) => taxonomy.canonicalTag(value)) : values;
+    return filters;
+  }, {});
+
+export const writeFacetFilters = (searchParams, filters) => {
+  FACETS.forEach(({ id, param }) => {
+    const values = filters[id] || [];
+    if (values.length > 0) {
+      searchParams.set(param, values.join(','));
+    } else {
+      searchParams.delete(param);
+    }
+  });
+};
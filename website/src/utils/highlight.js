@@ -0,0 +1,102 @@
+// Lightweight syntax highlighting for code blocks in the instruction preview.
+// Splits code into comment, string, number, keyword and plain text tokens;
+// good enough for the short examples in the catalog, not a full grammar.
+
+const C_LIKE_KEYWORDS = [
+  'abstract', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'defer',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'final', 'finally', 'for', 'fn', 'from', 'func', 'function',
+  'go', 'if', 'impl', 'implements', 'import', 'interface', 'let', 'match', 'mut', 'namespace', 'new',
+  'null', 'package', 'private', 'protected', 'pub', 'public', 'readonly', 'return', 'static', 'struct', 'super',
+  'switch', 'this', 'throw', 'throws', 'true', 'try', 'type', 'typeof', 'undefined', 'use', 'using', 'val', 'var',
+  'void', 'while', 'yield', 'nil', 'chan', 'range', 'select', 'override', 'fun', 'object', 'data', 'required',
+  'late', 'echo', 'as', 'in', 'of', 'is',
+];
+
+const HASH_COMMENT_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'begin', 'break', 'case', 'class', 'cond', 'continue', 'def', 'defmodule',
+  'defp', 'del', 'do', 'elif', 'else', 'end', 'ensure', 'except', 'false', 'False', 'finally', 'fn', 'for', 'from',
+  'if', 'import', 'in', 'is', 'lambda', 'module', 'nil', 'None', 'not', 'or', 'pass', 'raise', 'require', 'rescue',
+  'return', 'self', 'true', 'True', 'try', 'unless', 'when', 'while', 'with', 'yield', 'FROM', 'RUN', 'COPY', 'CMD',
+  'ENV', 'WORKDIR', 'EXPOSE', 'ENTRYPOINT', 'ARG', 'ADD', 'USER',
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create', 'table', 'index',
+  'primary', 'key', 'foreign', 'references', 'not', 'null', 'and', 'or', 'join', 'left', 'right', 'inner', 'on',
+  'group', 'by', 'order', 'limit', 'as', 'unique', 'default', 'alter', 'drop', 'begin', 'commit', 'returning',
+];
+
+// Language -> how comments start and which words are keywords
+const LANGUAGE_RULES = {
+  c: { line: '//', block: ['/*', '*/'], keywords: C_LIKE_KEYWORDS },
+  hash: { line: '#', keywords: HASH_COMMENT_KEYWORDS },
+  sql: { line: '--', block: ['/*', '*/'], keywords: SQL_KEYWORDS, caseInsensitive: true },
+  markup: { block: ['<!--', '-->'], keywords: [] },
+};
+
+const LANGUAGE_FAMILIES = {
+  python: 'hash', py: 'hash', ruby: 'hash', rb: 'hash', elixir: 'hash', ex: 'hash', yaml: 'hash', yml: 'hash',
+  dockerfile: 'hash', docker: 'hash', bash: 'hash', sh: 'hash', shell: 'hash', toml: 'hash',
+  sql: 'sql',
+  html: 'markup', xml: 'markup', vue: 'markup', astro: 'markup', svelte: 'markup',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildPattern = (rules) => {
+  const parts = [];
+  if (rules.block) parts.push(`(?<comment>${escapeRegExp(rules.block[0])}[\\s\\S]*?(?:${escapeRegExp(rules.block[1])}|$))`);
+  if (rules.line) parts.push(`(?<lineComment>${escapeRegExp(rules.line)}[^\\n]*)`);
+  parts.push('(?<string>"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)');
+  parts.push('(?<number>\\b\\d+(?:\\.\\d+)?\\b)');
+  parts.push('(?<word>[A-Za-z_$][\\w$]*)');
+  return new RegExp(parts.join('|'), 'g');
+};
+
+const compiled = new Map();
+
+const compile = (family) => {
+  if (!compiled.has(family)) {
+    const rules = LANGUAGE_RULES[family];
+    compiled.set(family, { rules, pattern: buildPattern(rules), keywords: new Set(rules.keywords) });
+  }
+  return compiled.get(family);
+};
+
+/**
+ * Split `code` into [{ type, text }] tokens where type is one of 'comment',
+ * 'string', 'number', 'keyword' or 'text'. Unknown languages use C-like rules.
+ */
+export const highlightCode = (code, language = '') => {
+  const family = LANGUAGE_FAMILIES[language.toLowerCase()] || 'c';
+  const { rules, pattern, keywords } = compile(family);
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let lastIndex = 0;
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > lastIndex) push('text', code.slice(lastIndex, match.index));
+    const { comment, lineComment, string, number, word } = match.groups;
+    if (comment !== undefined || lineComment !== undefined) {
+      push('comment', match[0]);
+    } else if (string !== undefined) {
+      push('string', match[0]);
+    } else if (number !== undefined) {
+      push('number', match[0]);
+    } else {
+      const isKeyword = keywords.has(rules.caseInsensitive ? word.toLowerCase() : word);
+      push(isKeyword ? 'keyword' : 'text', word);
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < code.length) push('text', code.slice(lastIndex));
+  return tokens;
+};
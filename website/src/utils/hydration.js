@@ -0,0 +1,31 @@
+// Pre-rendered pages are hydrated: the first render in the browser has to produce
+// the markup scripts/prerender.js wrote for the page's path, which knows nothing of
+// this browser's localStorage, query string or history. While that path is set,
+// components start from what a fresh browser shows and catch up once mounted.
+import { useEffect, useState } from 'react';
+
+let hydratingPath = null;
+
+// The path the pre-rendered markup shows while it is hydrated, null otherwise
+export const getHydratingPath = () => hydratingPath;
+
+export const setHydratingPath = (path) => {
+  hydratingPath = path;
+};
+
+/**
+ * useState for a value only the browser knows, such as a stored setting. Rendered
+ * with `serverValue` while hydrating, and read once mounted; otherwise read at once.
+ */
+export const useBrowserState = (read, serverValue) => {
+  const [isPending, setIsPending] = useState(() => hydratingPath !== null);
+  const [value, setValue] = useState(() => (isPending ? serverValue : read()));
+
+  useEffect(() => {
+    if (!isPending) return;
+    setValue(read());
+    setIsPending(false);
+  }, [isPending, read]);
+
+  return [value, setValue];
+};
@@ -0,0 +1,10 @@
+// Resolve an instruction from its id. Older share links and stored data used the
+// bare filename, which is not unique, so it only serves as a fallback.
+export const findInstruction = (instructions, key) => {
+  if (!key) return null;
+  return (
+    instructions.find((instruction) => instruction.id === key) ||
+    instructions.find((instruction) => instruction.filename === key) ||
+    null
+  );
+};
@@ -1,6 +1,30 @@
+import { dropInvalidEntries } from './storedValues';
+
+// Stored values can be corrupted by hand edits, extensions or older versions of the
+// site. Anything that does not parse, or is not the same kind of value as the
+// fallback, is reported and replaced by the fallback instead of breaking the app.
+// Single broken entries, such as a tool without a name, are dropped.
+export const readStoredJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    if (saved === null) return fallback;
+    const value = JSON.parse(saved);
+    const sameKind =
+      value !== null && typeof value === typeof fallback && Array.isArray(value) === Array.isArray(fallback);
+    if (!sameKind) throw new Error(`expected ${Array.isArray(fallback) ? 'an array' : `a ${typeof fallback}`}`);
+    const valid = dropInvalidEntries(key, value);
+    if (JSON.stringify(valid) !== JSON.stringify(value)) {
+      console.error(`Dropping unreadable entries of "${key}" in localStorage`);
+    }
+    return valid;
+  } catch (error) {
+    console.error(`Ignoring unreadable "${key}" in localStorage:`, error);
+    return fallback;
+  }
+};
+
 export const loadCustomTools = () => {
-  const saved = localStorage.getItem('customTools');
-  return saved ? JSON.parse(saved) : [];
+  return readStoredJson('customTools', []);
 };
 
 export const saveCustomTools = (tools) => {
@@ -8,18 +32,15 @@ export const saveCustomTools = (tools) => {
 };
 
 export const loadInstructionUsageStats = () => {
-  const saved = localStorage.getItem('instructionUsageStats');
-  return saved ? JSON.parse(saved) : {};
+  return readStoredJson('instructionUsageStats', {});
 };
 
 export const saveInstructionUsageStats = (stats) => {
   localStorage.setItem('instructionUsageStats', JSON.stringify(stats));
 };
 
-
 export const loadToolUsageStats = () => {
-  const saved = localStorage.getItem('toolUsageStats');
-  return saved ? JSON.parse(saved) : {};
+  return readStoredJson('toolUsageStats', {});
 };
 
 export const saveToolUsageStats = (stats) => {
@@ -27,21 +48,60 @@ export const saveToolUsageStats = (stats) => {
 };
 
 export const loadFavoriteInstructions = () => {
-  const saved = localStorage.getItem('favoriteInstructions');
-  return saved ? JSON.parse(saved) : [];
+  return readStoredJson('favoriteInstructions', []);
 };
 
 export const saveFavoriteInstructions = (favorites) => {
   localStorage.setItem('favoriteInstructions', JSON.stringify(favorites));
 };
 
-export const loadReferencesData = () => {
-  const saved = localStorage.getItem('referencesData');
-  return saved ? JSON.parse(saved) : {};
+export const loadBundleInstructions = () => {
+  return readStoredJson('bundleInstructions', []);
+};
+
+export const saveBundleInstructions = (ids) => {
+  localStorage.setItem('bundleInstructions', JSON.stringify(ids));
 };
 
-export const saveReferencesData = (data) => {
-  localStorage.setItem('referencesData', JSON.stringify(data));
+// Personal variants of instructions: { [instructionId]: [{ name, content, savedAt }] }
+export const loadInstructionVariants = () => {
+  return readStoredJson('instructionVariants', {});
+};
+
+export const saveInstructionVariants = (variants) => {
+  localStorage.setItem('instructionVariants', JSON.stringify(variants));
+};
+
+// Named collections, see utils/collections.js
+export const loadCollections = () => {
+  return readStoredJson('instructionCollections', []);
+};
+
+export const saveCollections = (collections) => {
+  localStorage.setItem('instructionCollections', JSON.stringify(collections));
+};
+
+// Upstream version of each instruction the user last copied or favorited:
+// { [instructionId]: { hash, content, usedAt } }
+export const loadInstructionSnapshots = () => {
+  return readStoredJson('instructionSnapshots', {});
+};
+
+export const saveInstructionSnapshots = (snapshots) => {
+  localStorage.setItem('instructionSnapshots', JSON.stringify(snapshots));
+};
+
+// Values for instruction template variables, by variable name: { testRunner: 'Vitest' }
+export const loadTemplateValues = () => {
+  return readStoredJson('templateValues', {});
+};
+
+export const saveTemplateValues = (values) => {
+  localStorage.setItem('templateValues', JSON.stringify(values));
+};
+
+export const clearReferencesData = () => {
+  localStorage.removeItem('referencesData');
 };
 
 export const loadDarkMode = () => {
@@ -67,19 +127,68 @@ export const saveDarkMode = (isDarkMode) => {
   }
 };
 
+const STORAGE_VERSION = 2;
+
+// Version 1 keyed favorites and usage stats by filename, which collides for files
+// that exist in several categories. Rewrite those keys to instruction ids, resolving
+// each filename the same way the app used to (first match in the catalog).
+export const migrateStoredInstructionKeys = (instructions) => {
+  const version = parseInt(localStorage.getItem('storageVersion') || '1');
+  if (version >= STORAGE_VERSION) return;
+
+  const ids = new Set(instructions.map(instruction => instruction.id));
+  const toId = (key) => {
+    if (ids.has(key)) return key;
+    const match = instructions.find(instruction => instruction.filename === key);
+    return match ? match.id : key;
+  };
+
+  try {
+    const favorites = loadFavoriteInstructions();
+    saveFavoriteInstructions([...new Set(favorites.map(toId))]);
+
+    const stats = loadInstructionUsageStats();
+    const migratedStats = Object.entries(stats).reduce((acc, [key, count]) => {
+      const id = toId(key);
+      acc[id] = (acc[id] || 0) + count;
+      return acc;
+    }, {});
+    saveInstructionUsageStats(migratedStats);
+    // Only a finished migration is recorded, so a failed one is tried again on the next load
+    localStorage.setItem('storageVersion', STORAGE_VERSION.toString());
+  } catch (error) {
+    console.error('Error migrating stored instruction keys:', error);
+  }
+};
+
 // Function to load all stored state
 export const loadStoredState = () => {
   return {
     darkMode: localStorage.getItem('darkMode') !== 'false', // Default to true if not set
-    customTools: JSON.parse(localStorage.getItem('customTools') || '[]'),
-    instructionUsageStats: JSON.parse(localStorage.getItem('instructionUsageStats') || '{}'),
-    toolUsageStats: JSON.parse(localStorage.getItem('toolUsageStats') || '{}'),
-    favoriteInstructions: JSON.parse(localStorage.getItem('favoriteInstructions') || '[]'),
+    customTools: loadCustomTools(),
+    instructionUsageStats: loadInstructionUsageStats(),
+    toolUsageStats: loadToolUsageStats(),
+    favoriteInstructions: loadFavoriteInstructions(),
+    bundleInstructions: loadBundleInstructions(),
+    instructionCollections: loadCollections(),
+    instructionSnapshots: loadInstructionSnapshots(),
   };
 };
 
-export const getMostFrequentTool = (tools) => {
-  const stats = loadToolUsageStats();
+// The most used of tools, by usage stats such as { Claude: 3 }
+// What loadStoredState returns in a browser that has nothing stored yet
+export const EMPTY_STORED_STATE = {
+  darkMode: true,
+  customTools: [],
+  instructionUsageStats: {},
+  toolUsageStats: {},
+  favoriteInstructions: [],
+  bundleInstructions: [],
+  instructionCollections: [],
+  instructionSnapshots: {},
+};
+
+export const getMostFrequentTool = (tools, stats) => {
   let maxUsage = -1;
   tools.forEach(tool => {
     const usage = stats[tool.name] || 0;
@@ -87,15 +196,13 @@ export const getMostFrequentTool = (tools) => {
       maxUsage = usage;
     }
   });
-  const candidates = tools.filter(tool => (stats[tool.name] || 0) === maxUsage);
-  if (candidates.length === 0) return null;
-  const randomIndex = Math.floor(Math.random() * candidates.length);
-  return candidates[randomIndex];
+  // Ties go to the tool listed first, so the same tool is shown and opened
+  return tools.find(tool => (stats[tool.name] || 0) === maxUsage) || null;
 };
 
 export const getModalUsageCount = () => {
   const count = parseInt(localStorage.getItem('modalUsageCount') || '0');
-  return count;
+  return Number.isNaN(count) ? 0 : count;
 };
 
 export const incrementModalUsageCount = () => {
@@ -0,0 +1,173 @@
+// A small markdown parser for the instruction preview. It understands the subset
+// the catalog uses: ATX headings, paragraphs, nested lists, fenced code, block
+// quotes and rules, with inline code, emphasis and links. It returns plain objects
+// that the MarkdownView component renders, so no HTML is ever injected.
+import { slugify } from './markdownSections.js';
+
+const FENCE = /^(\s*)(```|~~~)\s*([\w+#-]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+// Give repeated headings distinct anchors: testing, testing-1, testing-2
+const createSlugger = () => {
+  const seen = new Map();
+  return (text) => {
+    const base = slugify(text) || 'section';
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+};
+
+// Turn list item lines into a tree by indentation
+const buildList = (items) => {
+  const root = { indent: -1, children: [] };
+  const stack = [root];
+  items.forEach((item) => {
+    while (stack.length > 1 && item.indent <= stack[stack.length - 1].indent) stack.pop();
+    const parent = stack[stack.length - 1];
+    const node = { indent: item.indent, ordered: item.ordered, text: item.text, children: [] };
+    parent.children.push(node);
+    stack.push(node);
+  });
+
+  const toList = (nodes) => ({
+    type: 'list',
+    ordered: nodes[0].ordered,
+    items: nodes.map((node) => ({
+      text: node.text,
+      children: node.children.length > 0 ? toList(node.children) : null,
+    })),
+  });
+  return toList(root.children);
+};
+
+/**
+ * Parse markdown into blocks: { type: 'heading', level, text, slug },
+ * { type: 'paragraph', text }, { type: 'list', ordered, items: [{ text, children }] },
+ * { type: 'code', language, code }, { type: 'quote', text } and { type: 'rule' }.
+ */
+export const parseMarkdown = (markdown) => {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const nextSlug = createSlugger();
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[2])) {
+        code.push(lines[i].slice(Math.min(fence[1].length, lines[i].search(/\S|$/))));
+        i++;
+      }
+      i++; // closing fence
+      blocks.push({ type: 'code', language: fence[3].toLowerCase(), code: code.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2], slug: nextSlug(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) && !HEADING.test(lines[i])) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item) {
+          items.push({ indent: item[1].length, ordered: /\d/.test(item[2]), text: item[3] });
+        } else if (items.length > 0) {
+          // Continuation line of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+        }
+        i++;
+      }
+      blocks.push(buildList(items));
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quote.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'quote', text: quote.join(' ') });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE.test(lines[i]) &&
+      !HEADING.test(lines[i]) &&
+      !LIST_ITEM.test(lines[i]) &&
+      !RULE.test(lines[i])
+    ) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+};
+
+const INLINE = /(`+)(.+?)\1|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s][^*]*?)\*|\[([^\]]+)\]\(([^)\s]+)\)/;
+
+/**
+ * Split inline markdown into { type: 'text' | 'code' | 'strong' | 'em' | 'link' }
+ * tokens. Strong, emphasis and link tokens carry nested `children`.
+ */
+export const parseInline = (text) => {
+  const tokens = [];
+  let rest = text || '';
+
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      tokens.push({ type: 'text', text: rest });
+      break;
+    }
+    if (match.index > 0) tokens.push({ type: 'text', text: rest.slice(0, match.index) });
+
+    const [whole, , code, strong, strongAlt, em, linkText, href] = match;
+    if (code !== undefined) {
+      tokens.push({ type: 'code', text: code.trim() });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      tokens.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (em !== undefined) {
+      tokens.push({ type: 'em', children: parseInline(em) });
+    } else {
+      tokens.push({ type: 'link', href, children: parseInline(linkText) });
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return tokens;
+};
+
+// Outline of the document: every ## and ### heading with its anchor
+export const getOutline = (blocks) =>
+  blocks
+    .filter((block) => block.type === 'heading' && (block.level === 2 || block.level === 3))
+    .map(({ level, text, slug }) => ({ level, text, slug }));
@@ -0,0 +1,150 @@
+const FENCE = /^\s*(```|~~~)/;
+const BULLET = /^([-*+]|\d+[.)])\s+/;
+
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-');
+
+export const normalizeHeading = (heading) => heading.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Split a markdown document into its H1 title, the intro before the first `##`
+// heading and one entry per `##` section. Headings inside code fences are ignored.
+export const parseSections = (markdown) => {
+  const lines = (markdown || '').split('\n');
+  const result = { title: null, intro: '', sections: [] };
+  const introLines = [];
+  let current = null;
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+    }
+
+    const heading = !inFence && line.match(/^(#{1,2})\s+(.*?)\s*#*\s*$/);
+    if (heading && heading[1] === '#' && result.title === null && !current) {
+      result.title = heading[2];
+      return;
+    }
+    if (heading && heading[1] === '##') {
+      current = { heading: heading[2], slug: slugify(heading[2]), line: index + 1, lines: [] };
+      result.sections.push(current);
+      return;
+    }
+
+    (current ? current.lines : introLines).push(line);
+  });
+
+  result.intro = introLines.join('\n').trim();
+  result.sections = result.sections.map(({ lines: sectionLines, ...section }) => ({
+    ...section,
+    body: sectionLines.join('\n').trim()
+  }));
+  return result;
+};
+
+// Break a section body into blocks: bullets (with their indented continuation
+// lines), `###` sub-headings, fenced code and plain paragraphs.
+export const parseBlocks = (body) => {
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+
+  const flush = () => {
+    if (current) {
+      blocks.push({ type: current.type, text: current.lines.join('\n').trimEnd() });
+      current = null;
+    }
+  };
+
+  (body || '').split('\n').forEach((line) => {
+    if (inFence) {
+      current.lines.push(line);
+      if (FENCE.test(line)) {
+        inFence = false;
+        flush();
+      }
+      return;
+    }
+
+    if (FENCE.test(line)) {
+      flush();
+      current = { type: 'code', lines: [line] };
+      inFence = true;
+      return;
+    }
+    if (!line.trim()) {
+      if (current && current.type !== 'bullet') flush();
+      return;
+    }
+    if (/^#{3,6}\s+/.test(line)) {
+      flush();
+      blocks.push({ type: 'heading', text: line.trim() });
+      return;
+    }
+    if (BULLET.test(line)) {
+      flush();
+      current = { type: 'bullet', lines: [line] };
+      return;
+    }
+    if (current && current.type === 'bullet' && /^\s+/.test(line)) {
+      current.lines.push(line);
+      return;
+    }
+    if (!current || current.type !== 'text') {
+      flush();
+      current = { type: 'text', lines: [] };
+    }
+    current.lines.push(line);
+  });
+
+  flush();
+  return blocks;
+};
+
+// Comparable form of a bullet: marker, case, spacing and trailing punctuation removed
+export const normalizeBullet = (text) =>
+  text
+    .replace(BULLET, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[.;:,]+$/, '')
+    .trim()
+    .toLowerCase();
+
+// Apply `transform` to every ATX heading outside code fences; it receives the level
+// and text and returns the replacement line, or null to drop the heading
+const mapHeadings = (markdown, transform) => {
+  let inFence = false;
+  return (markdown || '')
+    .split('\n')
+    .map((line) => {
+      if (FENCE.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+      return heading ? transform(heading[1].length, heading[2]) : line;
+    })
+    .filter((line) => line !== null)
+    .join('\n');
+};
+
+// Move every heading `levels` deeper, stopping at h6
+export const shiftHeadings = (markdown, levels) =>
+  mapHeadings(markdown, (level, text) => `${'#'.repeat(Math.min(6, level + levels))} ${text}`);
+
+// Drop the document's `# Title` line, for formats that carry the title elsewhere
+export const stripTitle = (markdown) => {
+  let removed = false;
+  return mapHeadings(markdown, (level, text) => {
+    if (level === 1 && !removed) {
+      removed = true;
+      return null;
+    }
+    return `${'#'.repeat(level)} ${text}`;
+  }).trim();
+};
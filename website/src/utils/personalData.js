@@ -0,0 +1,138 @@
+// Export and import of everything the site keeps in localStorage, as one
+// versioned JSON file. Import validates the whole file before writing anything.
+import { readStoredJson } from './localStorage';
+import { isString, isCount, isValidStoredValue } from './storedValues';
+
+export const PERSONAL_DATA_FORMAT = 'awesome-copilot-personal-data';
+export const PERSONAL_DATA_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStored = (key) => (value) => isValidStoredValue(key, value);
+
+const union = (current, imported) => [...new Set([...current, ...imported])];
+
+const maxCounts = (current, imported) =>
+  Object.entries(imported).reduce(
+    (result, [key, count]) => ({ ...result, [key]: Math.max(result[key] || 0, count) }),
+    current
+  );
+
+const mergeById = (current, imported) => [
+  ...current,
+  ...imported.filter((entry) => !current.some((item) => item.id === entry.id)),
+];
+
+const mergeVariants = (current, imported) =>
+  Object.entries(imported).reduce((result, [id, variants]) => {
+    const existing = result[id] || [];
+    const added = variants.filter((variant) => !existing.some((item) => item.name === variant.name));
+    return { ...result, [id]: [...existing, ...added] };
+  }, current);
+
+const newerSnapshots = (current, imported) =>
+  Object.entries(imported).reduce(
+    (result, [id, snapshot]) =>
+      !result[id] || new Date(snapshot.usedAt) > new Date(result[id].usedAt) ? { ...result, [id]: snapshot } : result,
+    current
+  );
+
+// Every localStorage key that is exported: its empty value, how to validate an
+// imported value and how a merge combines it with what is already stored
+const ENTRIES = {
+  favoriteInstructions: { label: 'favorites', empty: [], isValid: isStored('favoriteInstructions'), merge: union },
+  bundleInstructions: { label: 'bundle', empty: [], isValid: isStored('bundleInstructions'), merge: union },
+  instructionUsageStats: { label: 'instruction usage', empty: {}, isValid: isStored('instructionUsageStats'), merge: maxCounts },
+  toolUsageStats: { label: 'tool usage', empty: {}, isValid: isStored('toolUsageStats'), merge: maxCounts },
+  modalUsageCount: { label: 'usage counter', empty: 0, isValid: isCount, merge: Math.max },
+  customTools: { label: 'AI tools', empty: [], isValid: isStored('customTools'), merge: mergeById },
+  instructionCollections: { label: 'collections', empty: [], isValid: isStored('instructionCollections'), merge: mergeById },
+  instructionVariants: { label: 'variants', empty: {}, isValid: isStored('instructionVariants'), merge: mergeVariants },
+  instructionSnapshots: { label: 'snapshots', empty: {}, isValid: isStored('instructionSnapshots'), merge: newerSnapshots },
+  // Imported values win, like a preference set on purpose
+  templateValues: {
+    label: 'template values',
+    empty: {},
+    isValid: isStored('templateValues'),
+    merge: (current, imported) => ({ ...current, ...imported }),
+  },
+  // A merge keeps this browser's theme
+  darkMode: { label: 'theme', empty: true, isValid: (value) => typeof value === 'boolean', merge: (current) => current },
+};
+
+export const exportPersonalData = () => ({
+  format: PERSONAL_DATA_FORMAT,
+  version: PERSONAL_DATA_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: Object.entries(ENTRIES).reduce((data, [key, { empty }]) => {
+    // The theme is stored as "true"/"false" and defaults to dark when unset
+    data[key] = key === 'darkMode' ? localStorage.getItem('darkMode') !== 'false' : readStoredJson(key, empty);
+    return data;
+  }, {}),
+});
+
+/**
+ * Parse and validate an export file. Throws an Error with a message meant for the
+ * user when the file cannot be imported; returns { exportedAt, data } otherwise,
+ * where data only has the known keys. Files from older versions are accepted.
+ */
+export const parsePersonalData = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!isObject(file) || file.format !== PERSONAL_DATA_FORMAT) {
+    throw new Error('The file is not an export from this site.');
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error('The file has no valid version.');
+  }
+  if (file.version > PERSONAL_DATA_VERSION) {
+    throw new Error('The file was exported by a newer version of the site. Reload the page and try again.');
+  }
+  if (!isObject(file.data)) {
+    throw new Error('The file has no data.');
+  }
+
+  const data = {};
+  Object.entries(ENTRIES).forEach(([key, { label, isValid }]) => {
+    if (!(key in file.data)) return;
+    if (!isValid(file.data[key])) throw new Error(`The ${label} in the file are not in the expected format.`);
+    data[key] = file.data[key];
+  });
+  return { exportedAt: isString(file.exportedAt) ? file.exportedAt : null, data };
+};
+
+// Short description of an import, e.g. "3 favorites, 2 variants and 1 AI tool"
+export const summarizePersonalData = (data) => {
+  const count = (value) => (Array.isArray(value) ? value.length : Object.keys(value || {}).length);
+  const parts = [
+    [count(data.favoriteInstructions), 'favorite', 'favorites'],
+    [count(data.bundleInstructions), 'bundle item', 'bundle items'],
+    [Object.values(data.instructionVariants || {}).flat().length, 'variant', 'variants'],
+    [count(data.instructionCollections), 'collection', 'collections'],
+    [count(data.customTools), 'AI tool', 'AI tools'],
+    [count(data.instructionUsageStats), 'instruction with usage stats', 'instructions with usage stats'],
+  ]
+    .filter(([number]) => number > 0)
+    .map(([number, singular, plural]) => `${number} ${number === 1 ? singular : plural}`);
+  if (parts.length === 0) return 'no saved items';
+  return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+/**
+ * Write validated data from parsePersonalData. "merge" combines it with what is
+ * stored; "replace" overwrites everything and clears keys the file does not have.
+ */
+export const importPersonalData = (data, mode) => {
+  Object.entries(ENTRIES).forEach(([key, { empty, merge }]) => {
+    if (!(key in data)) {
+      if (mode === 'replace') localStorage.removeItem(key);
+      return;
+    }
+    const current = key === 'darkMode' ? localStorage.getItem('darkMode') !== 'false' : readStoredJson(key, empty);
+    const value = mode === 'merge' ? merge(current, data[key]) : data[key];
+    localStorage.setItem(key, JSON.stringify(value));
+  });
+};
@@ -0,0 +1,38 @@
+// Paths of the pre-rendered instruction and category pages. Shared with
+// scripts/prerender.js, which writes a static page for every one of them.
+
+export const SITE_URL = 'https://awesomeinstructions.luongnv.com';
+
+export const instructionPath = (id) => `/i/${encodeURIComponent(id)}/`;
+
+export const categoryPath = (category) => `/c/${encodeURIComponent(category)}/`;
+
+// A single tag's page; with more than one tag the list stays on / with ?tags=.
+// Client-routed like the comparison below.
+export const tagPath = (tag) => `/t/${encodeURIComponent(tag)}/`;
+
+// Side-by-side comparison; not pre-rendered, the 404 page routes it on the client
+export const comparePath = (ids) => `/compare/${ids.map(encodeURIComponent).join(',')}/`;
+
+// A shared collection, packed into the path by encodeCollection; also client-routed
+export const sharedCollectionPath = (encoded) => `/l/${encoded}/`;
+
+/**
+ * Read a pathname such as /i/<id>/, /c/<category>/, /t/<tag>/, /compare/<id>,<id>/
+ * or /l/<collection>/. Returns { instructionId }, { category }, { tag }, { compareIds }
+ * or { sharedCollection }, or {} for any other path, including one with a broken
+ * escape such as %E0%A4%A.
+ */
+export const parseRoute = (pathname) => {
+  const match = (pathname || '').match(/^\/(i|c|t|l|compare)\/([^/]+)\/?$/);
+  if (!match) return {};
+  if (match[1] === 'l') return { sharedCollection: match[2] };
+  try {
+    if (match[1] === 'compare') return { compareIds: match[2].split(',').filter(Boolean).map(decodeURIComponent) };
+    const value = decodeURIComponent(match[2]);
+    if (match[1] === 't') return { tag: value };
+    return match[1] === 'i' ? { instructionId: value } : { category: value };
+  } catch {
+    return {};
+  }
+};
@@ -1,4 +1,10 @@
+// Panels can open on top of each other, so only the first lock and the last
+// unlock touch the page
+let lockCount = 0;
+
 export const disableScroll = () => {
+  lockCount++;
+  if (lockCount > 1) return;
   // Get current scroll position
   const scrollY = window.scrollY;
   document.body.style.position = 'fixed';
@@ -7,6 +13,9 @@ export const disableScroll = () => {
 };
 
 export const enableScroll = () => {
+  if (lockCount === 0) return;
+  lockCount--;
+  if (lockCount > 0) return;
   const scrollY = document.body.style.top;
   document.body.style.position = '';
   document.body.style.top = '';
@@ -0,0 +1,219 @@
+// Full-text search over the prebuilt index written by scripts/generate_instruction_data.js.
+// This module is shared with the generator, so the tokenizer used at build time and
+// in the browser is always the same.
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Indexed fields and the relevance boost applied to matches in each of them
+export const SEARCH_FIELDS = ['title', 'tags', 'description', 'category', 'content'];
+const FIELD_BOOSTS = { title: 5, tags: 3, description: 2, category: 2, content: 1 };
+
+const QUALIFIERS = ['tag', 'category', 'language'];
+
+// Prefix expansions count less than exact term matches
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercase words; keeps "+", "#" and inner dots so c++, c# and next.js survive
+export const tokenize = (text) =>
+  ((text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9+#]+)*/g) || []);
+
+const fieldText = (instruction, field) => {
+  if (field === 'tags') return (instruction.tags || []).join(' ');
+  if (field === 'category') return [instruction.category, ...(instruction.subcategories || [])].join(' ');
+  return instruction[field] || '';
+};
+
+/**
+ * Build an inverted index: term -> [docIndex, fieldIndex, termFrequency] postings.
+ * Documents keep the lowercased values needed for qualifier filters.
+ */
+export const buildSearchIndex = (instructions) => {
+  // Without a prototype, words such as "constructor" are counted like any other
+  const terms = Object.create(null);
+  const totals = SEARCH_FIELDS.map(() => 0);
+
+  const docs = instructions.map((instruction, docIndex) => {
+    const lengths = SEARCH_FIELDS.map((field, fieldIndex) => {
+      const tokens = tokenize(fieldText(instruction, field));
+      const counts = Object.create(null);
+      tokens.forEach((token) => {
+        counts[token] = (counts[token] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([term, count]) => {
+        if (!terms[term]) terms[term] = [];
+        terms[term].push([docIndex, fieldIndex, count]);
+      });
+      totals[fieldIndex] += tokens.length;
+      return tokens.length;
+    });
+
+    return {
+      id: instruction.id,
+      lengths,
+      category: [instruction.category, ...(instruction.subcategories || [])].map((value) => value.toLowerCase()),
+      tags: (instruction.tags || []).map((tag) => tag.toLowerCase()),
+      language: (instruction.metadata?.language || '').toLowerCase()
+    };
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    fields: SEARCH_FIELDS,
+    averageLengths: totals.map((total) => (docs.length ? total / docs.length : 0)),
+    docs,
+    terms
+  };
+};
+
+/**
+ * Parse a query such as `"error handling" tag:react categ language:python`
+ * into free terms, quoted phrases and qualifier filters.
+ */
+export const parseQuery = (query) => {
+  const parsed = { terms: [], phrases: [], filters: { tag: [], category: [], language: [] } };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, qualifier, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (qualifier && QUALIFIERS.includes(qualifier.toLowerCase())) {
+      if (value.trim()) parsed.filters[qualifier.toLowerCase()].push(value.trim().toLowerCase());
+      continue;
+    }
+
+    const tokens = tokenize(qualifier ? `${qualifier} ${value}` : value);
+    if (quoted !== undefined && tokens.length > 1) {
+      parsed.phrases.push(tokens);
+    } else {
+      parsed.terms.push(...tokens);
+    }
+  }
+
+  return parsed;
+};
+
+export const isEmptyQuery = (parsed) =>
+  parsed.terms.length === 0 &&
+  parsed.phrases.length === 0 &&
+  Object.values(parsed.filters).every((values) => values.length === 0);
+
+const matchesFilters = (doc, filters) =>
+  filters.tag.every((tag) => doc.tags.includes(tag)) &&
+  filters.category.every((category) => doc.category.some((value) => value.includes(category))) &&
+  // Most instructions have no language metadata, so fall back to their tags
+  filters.language.every((language) => doc.language === language || doc.tags.includes(language));
+
+// Sorted term list, cached per index object, used for prefix lookups
+const sortedTermsCache = new WeakMap();
+const expandPrefix = (index, prefix) => {
+  if (!sortedTermsCache.has(index)) {
+    sortedTermsCache.set(index, Object.keys(index.terms).sort());
+  }
+  const sorted = sortedTermsCache.get(index);
+
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  const expanded = [];
+  for (let i = low; i < sorted.length && sorted[i].startsWith(prefix); i++) {
+    expanded.push(sorted[i]);
+  }
+  return expanded;
+};
+
+// Score every document for one term; returns Map(docIndex -> score)
+const scoreTerm = (index, term, weight) => {
+  const postings = Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : [];
+  const scores = new Map();
+  if (postings.length === 0) return scores;
+
+  const docCount = index.docs.length;
+  const docFrequency = new Set(postings.map(([docIndex]) => docIndex)).size;
+  const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+
+  postings.forEach(([docIndex, fieldIndex, tf]) => {
+    const field = index.fields[fieldIndex];
+    const length = index.docs[docIndex].lengths[fieldIndex];
+    const average = index.averageLengths[fieldIndex] || 1;
+    const bm25 = (tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * length) / average));
+    scores.set(docIndex, (scores.get(docIndex) || 0) + weight * FIELD_BOOSTS[field] * idf * bm25);
+  });
+  return scores;
+};
+
+// Exact matches of a term plus, at a lower weight, the words it is a prefix of
+const scoreTermWithPrefixes = (index, term) => {
+  const scores = scoreTerm(index, term, 1);
+  if (term.length >= MIN_PREFIX_LENGTH) {
+    expandPrefix(index, term)
+      .filter((expanded) => expanded !== term)
+      .forEach((expanded) => {
+        scoreTerm(index, expanded, PREFIX_WEIGHT).forEach((score, docIndex) => {
+          scores.set(docIndex, Math.max(scores.get(docIndex) || 0, score));
+        });
+      });
+  }
+  return scores;
+};
+
+// Documents present in every map, with their scores summed
+const intersectScores = (maps) =>
+  maps.reduce((acc, scores) => {
+    const next = new Map();
+    acc.forEach((score, docIndex) => {
+      if (scores.has(docIndex)) next.set(docIndex, score + scores.get(docIndex));
+    });
+    return next;
+  });
+
+const containsPhrase = (instruction, phrase) => {
+  const needle = ` ${phrase.join(' ')} `;
+  return SEARCH_FIELDS.some((field) => ` ${tokenize(fieldText(instruction, field)).join(' ')} `.includes(needle));
+};
+
+/**
+ * Rank instructions against a query.
+ * Every term (or a word it is a prefix of) and every phrase has to match; qualifiers filter.
+ * Returns [{ instruction, score }] ordered by descending score.
+ */
+export const searchInstructions = (index, instructions, query) => {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const byId = new Map(instructions.map((instruction) => [instruction.id, instruction]));
+
+  let candidates = index.docs
+    .map((doc, docIndex) => ({ doc, docIndex, instruction: byId.get(doc.id), score: 0 }))
+    .filter(({ doc, instruction }) => instruction && matchesFilters(doc, parsed.filters));
+
+  const requirements = [
+    ...parsed.terms.map((term) => scoreTermWithPrefixes(index, term)),
+    // Phrase words must all be present; their order is checked below
+    ...parsed.phrases.map((phrase) => intersectScores(phrase.map((term) => scoreTerm(index, term, 1))))
+  ];
+
+  requirements.forEach((scores) => {
+    candidates = candidates
+      .filter(({ docIndex }) => scores.has(docIndex))
+      .map((candidate) => ({ ...candidate, score: candidate.score + scores.get(candidate.docIndex) }));
+  });
+
+  if (parsed.phrases.length > 0) {
+    candidates = candidates.filter(({ instruction }) =>
+      parsed.phrases.every((phrase) => containsPhrase(instruction, phrase))
+    );
+  }
+
+  return candidates
+    .map(({ instruction, score }) => ({ instruction, score }))
+    .sort((a, b) => b.score - a.score);
+};
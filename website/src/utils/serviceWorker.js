@@ -0,0 +1,52 @@
+// Registers the service worker generated by scripts/generate-sw.js and reports
+// when a newer build has been downloaded and is waiting to take over.
+
+// How often an open tab checks for a new deployment
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const watchForUpdate = (registration, onUpdate) => {
+  // A waiting worker left over from an earlier visit is an update too
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdate(registration);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdate(registration);
+      }
+    });
+  });
+};
+
+/**
+ * Register the service worker in production builds. `onUpdate(registration)` is
+ * called once a new version of the site is installed and waiting.
+ */
+export const registerServiceWorker = (onUpdate) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker
+    .register('/sw.js')
+    .then((registration) => {
+      watchForUpdate(registration, onUpdate);
+      const checkForUpdate = () => registration.update().catch(() => {});
+      setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate();
+      });
+    })
+    .catch((error) => console.error('Service worker registration failed:', error));
+};
+
+// Activate the waiting worker and reload once it controls the page
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,43 @@
+// Keyboard shortcuts of the site. The list feeds the help overlay and the hints
+// in the command palette; App handles the keys themselves.
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const MOD_KEY = isMac ? '⌘' : 'Ctrl';
+
+export const SHORTCUTS = [
+  { keys: [MOD_KEY, 'K'], description: 'Open the command palette' },
+  { keys: ['/'], description: 'Search' },
+  { keys: ['j'], description: 'Next instruction or category' },
+  { keys: ['k'], description: 'Previous instruction or category' },
+  { keys: ['Enter'], description: 'Open the highlighted instruction or category' },
+  { keys: ['f'], description: 'Favorite the open or highlighted instruction' },
+  { keys: ['c'], description: 'Copy the open or highlighted instruction' },
+  { keys: ['Esc'], description: 'Close the open window' },
+  { keys: ['?'], description: 'Show these shortcuts' },
+];
+
+// Letters typed into a field belong to the field, not to the shortcuts
+export const isTypingTarget = (element) =>
+  Boolean(element) &&
+  (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+// The instruction whose card has the focus, as set by j/k or Tab
+export const focusedInstructionId = () => {
+  const card = document.activeElement && document.activeElement.closest('[data-instruction-id]');
+  return card ? card.dataset.instructionId : null;
+};
+
+/**
+ * Move the focus to the next (step 1) or previous (step -1) item of the list on
+ * the page: instruction cards or category cards. Starts at the first one. A card
+ * with several buttons marks the one that opens it with data-keyboard-focus.
+ */
+export const moveListFocus = (step) => {
+  const items = [...document.querySelectorAll('[data-keyboard-item]')];
+  if (items.length === 0) return;
+  const current = items.findIndex((item) => item.contains(document.activeElement));
+  const next = items[current === -1 ? 0 : Math.min(Math.max(current + step, 0), items.length - 1)];
+  (next.querySelector('[data-keyboard-focus]') || next).focus();
+  next.scrollIntoView({ block: 'nearest' });
+};
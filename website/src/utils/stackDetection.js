@@ -0,0 +1,348 @@
+// Detects a project's stack from its dependency manifests and ranks the catalog's
+// instructions against it. Everything runs in the browser; files never leave it.
+
+export const SUPPORTED_MANIFESTS = [
+  'package.json',
+  'requirements.txt',
+  'pyproject.toml',
+  'go.mod',
+  'pubspec.yaml',
+  'Gemfile',
+  'composer.json',
+];
+
+const MAX_RECOMMENDATIONS = 20;
+
+// Weight of a signal found in an instruction's id (its file name) versus only in its tags
+const ID_MATCH_WEIGHT = 3;
+const TAG_MATCH_WEIGHT = 1;
+// Languages match a large part of the catalog, so they count for less than frameworks
+const LANGUAGE_ID_WEIGHT = 1;
+const LANGUAGE_TAG_WEIGHT = 0.5;
+
+// Dependency name -> catalog words it points to. Keys are lowercase package names.
+const DEPENDENCY_SIGNALS = {
+  // JavaScript
+  react: ['react'],
+  'react-dom': ['react'],
+  next: ['nextjs'],
+  vue: ['vue'],
+  nuxt: ['nuxt', 'vue'],
+  svelte: ['svelte'],
+  '@sveltejs/kit': ['sveltekit'],
+  astro: ['astro'],
+  '@angular/core': ['angular'],
+  'novo-elements': ['novo', 'angular'],
+  'solid-js': ['solidjs'],
+  'react-native': ['react', 'native'],
+  expo: ['expo', 'react', 'native'],
+  tailwindcss: ['tailwind'],
+  mobx: ['mobx'],
+  '@apollo/client': ['apollo', 'graphql'],
+  graphql: ['graphql'],
+  convex: ['convex'],
+  '@nestjs/core': ['nestjs'],
+  express: ['node', 'nodejs', 'express'],
+  '@grpc/grpc-js': ['grpc'],
+  amqplib: ['rabbitmq'],
+  redis: ['redis'],
+  ioredis: ['redis'],
+  'htmx.org': ['htmx'],
+  '@playwright/test': ['e2e', 'testing'],
+  cypress: ['e2e', 'testing'],
+  jest: ['testing'],
+  vitest: ['testing'],
+  'shadcn-ui': ['shadcn'],
+  '@radix-ui/react-slot': ['shadcn'],
+  vite: ['vite'],
+  prisma: ['database'],
+  typeorm: ['database'],
+  // Python
+  fastapi: ['fastapi'],
+  django: ['django'],
+  flask: ['flask'],
+  torch: ['pytorch'],
+  'scikit-learn': ['sklearn'],
+  transformers: ['llm', 'ml'],
+  langchain: ['llm', 'ml'],
+  sqlalchemy: ['database'],
+  pytest: ['testing'],
+  grpcio: ['grpc'],
+  pika: ['rabbitmq'],
+  // Go
+  'github.com/gofiber/fiber': ['fiber'],
+  'github.com/gofiber/fiber/v2': ['fiber'],
+  'google.golang.org/grpc': ['grpc'],
+  'github.com/redis/go-redis/v9': ['redis'],
+  // Dart
+  flutter: ['flutter'],
+  flutter_riverpod: ['riverpod', 'flutter'],
+  hooks_riverpod: ['riverpod', 'flutter'],
+  // PHP
+  'laravel/framework': ['laravel'],
+  'johnpbloch/wordpress': ['wordpress'],
+  // Ruby
+  dragonruby: ['dragonruby'],
+  rails: ['rails'],
+  railties: ['rails'],
+  sinatra: ['sinatra'],
+  hanami: ['hanami'],
+  // graphql and redis gems share their names with the npm packages above
+  grpc: ['grpc'],
+  bunny: ['rabbitmq'],
+  sidekiq: ['redis'],
+  pg: ['database'],
+  mysql2: ['database'],
+  sqlite3: ['database'],
+  sequel: ['database'],
+  activerecord: ['database'],
+  rspec: ['testing'],
+  'rspec-rails': ['testing', 'rails'],
+  minitest: ['testing'],
+  capybara: ['e2e', 'testing'],
+  'cucumber-rails': ['e2e', 'testing'],
+  'tailwindcss-rails': ['tailwind', 'rails'],
+};
+
+// Manifest file name -> language it implies
+const MANIFEST_LANGUAGES = {
+  'package.json': 'javascript',
+  'requirements.txt': 'python',
+  'pyproject.toml': 'python',
+  'go.mod': 'go',
+  'pubspec.yaml': 'dart',
+  Gemfile: 'ruby',
+  'composer.json': 'php',
+};
+
+// "fastapi[all]>=0.110 ; python_version > '3.8'" -> "fastapi"
+const pythonPackageName = (spec) =>
+  spec
+    .trim()
+    .split(/[\s<>=!~;[(@]/)[0]
+    .toLowerCase()
+    .replace(/_/g, '-');
+
+const parseJsonObject = (text, filename) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filename} is not valid JSON: ${error.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${filename} does not hold a JSON object`);
+  }
+  return value;
+};
+
+const parsePackageJson = (text) => {
+  const pkg = parseJsonObject(text, 'package.json');
+  return ['dependencies', 'devDependencies', 'peerDependencies'].flatMap((field) => Object.keys(pkg[field] || {}));
+};
+
+const parseRequirements = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.replace(/#.*/, '').trim())
+    // Skip options such as -r other.txt and -e git+https://...
+    .filter((line) => line && !line.startsWith('-'))
+    .map(pythonPackageName)
+    .filter(Boolean);
+
+// Reads PEP 621 `dependencies` arrays and Poetry dependency tables. Only the parts of
+// TOML those sections use are understood.
+const parsePyproject = (text) => {
+  const names = [];
+  let table = '';
+  let inArray = false;
+
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.replace(/\s#.*$/, '').trim();
+    if (!line || line.startsWith('#')) return;
+
+    if (inArray) {
+      (line.match(/"([^"]+)"|'([^']+)'/g) || []).forEach((quoted) => names.push(pythonPackageName(quoted.slice(1, -1))));
+      if (line.includes(']')) inArray = false;
+      return;
+    }
+
+    const header = line.match(/^\[+([^\]]+)\]+$/);
+    if (header) {
+      table = header[1].trim();
+      return;
+    }
+
+    const isDependencyArray =
+      (table === 'project' && /^dependencies\s*=/.test(line)) || table === 'project.optional-dependencies';
+    if (isDependencyArray && line.includes('[')) {
+      const values = line.slice(line.indexOf('['));
+      (values.match(/"([^"]+)"|'([^']+)'/g) || []).forEach((quoted) => names.push(pythonPackageName(quoted.slice(1, -1))));
+      inArray = !values.includes(']');
+      return;
+    }
+
+    if (/^tool\.poetry\.(group\.[^.]+\.)?(dev-)?dependencies$/.test(table)) {
+      const key = line.match(/^["']?([A-Za-z0-9_.-]+)["']?\s*=/);
+      if (key && key[1].toLowerCase() !== 'python') names.push(pythonPackageName(key[1]));
+    }
+  });
+
+  return names;
+};
+
+const parseGoMod = (text) => {
+  const names = [];
+  let inRequire = false;
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.replace(/\/\/.*/, '').trim();
+    if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+    } else if (inRequire && line === ')') {
+      inRequire = false;
+    } else if (inRequire && line) {
+      names.push(line.split(/\s+/)[0]);
+    } else if (/^require\s+\S+/.test(line)) {
+      names.push(line.split(/\s+/)[1]);
+    }
+  });
+  return names;
+};
+
+// Keys directly under the dependencies and dev_dependencies blocks
+const parsePubspec = (text) => {
+  const names = [];
+  let inDependencies = false;
+  text.split('\n').forEach((line) => {
+    if (/^\S/.test(line)) {
+      inDependencies = /^(dev_)?dependencies:\s*$/.test(line);
+      return;
+    }
+    const key = inDependencies && line.match(/^ {2}([A-Za-z0-9_]+):/);
+    if (key) names.push(key[1]);
+  });
+  return names;
+};
+
+const parseGemfile = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.match(/^\s*gem\s+["']([^"']+)["']/))
+    .filter(Boolean)
+    .map((match) => match[1].toLowerCase());
+
+const parseComposerJson = (text) => {
+  const composer = parseJsonObject(text, 'composer.json');
+  return ['require', 'require-dev']
+    .flatMap((field) => Object.keys(composer[field] || {}))
+    .filter((name) => name !== 'php' && !name.startsWith('ext-'));
+};
+
+const MANIFEST_PARSERS = {
+  'package.json': parsePackageJson,
+  'requirements.txt': parseRequirements,
+  'pyproject.toml': parsePyproject,
+  'go.mod': parseGoMod,
+  'pubspec.yaml': parsePubspec,
+  Gemfile: parseGemfile,
+  'composer.json': parseComposerJson,
+};
+
+// Accept variants such as requirements-dev.txt
+const manifestType = (filename) => {
+  const name = filename.split('/').pop();
+  if (MANIFEST_PARSERS[name]) return name;
+  if (/^requirements.*\.txt$/.test(name)) return 'requirements.txt';
+  return null;
+};
+
+/**
+ * Parse one manifest into { manifest, language, dependencies, signals } where
+ * signals maps each catalog word to the dependencies that point to it.
+ * Throws for unsupported files and malformed JSON.
+ */
+export const parseManifest = (filename, text) => {
+  const manifest = manifestType(filename);
+  if (!manifest) {
+    throw new Error(`${filename} is not a supported manifest (${SUPPORTED_MANIFESTS.join(', ')})`);
+  }
+
+  const dependencies = [...new Set(MANIFEST_PARSERS[manifest](text))];
+  let language = MANIFEST_LANGUAGES[manifest];
+  if (manifest === 'package.json' && dependencies.includes('typescript')) language = 'typescript';
+
+  const signals = {};
+  dependencies.forEach((dependency) => {
+    // Own keys only: a dependency named constructor or toString is no signal
+    const key = dependency.toLowerCase();
+    const words = Object.prototype.hasOwnProperty.call(DEPENDENCY_SIGNALS, key) ? DEPENDENCY_SIGNALS[key] : [];
+    words.forEach((word) => {
+      signals[word] = [...new Set([...(signals[word] || []), dependency])];
+    });
+  });
+
+  return { manifest: filename, language, dependencies, signals };
+};
+
+// Combine several parsed manifests into one stack description
+export const mergeStacks = (stacks) => {
+  const signals = {};
+  stacks.forEach((stack) => {
+    Object.entries(stack.signals).forEach(([word, dependencies]) => {
+      const sources = dependencies.map((dependency) => ({ dependency, manifest: stack.manifest }));
+      signals[word] = [...(signals[word] || []), ...sources];
+    });
+  });
+  return { languages: [...new Set(stacks.map((stack) => stack.language))], signals };
+};
+
+const instructionWords = (instruction) => new Set(instruction.id.toLowerCase().split('-'));
+
+const rankInstructions = (instructions, stack, { languageTagsAlone }) =>
+  instructions
+    .map((instruction) => {
+      const words = instructionWords(instruction);
+      // Tags are taxonomy names such as Next.js; signals are written like nextjs
+      const tags = new Set((instruction.tags || []).map((tag) => tag.toLowerCase().replace(/[.\s]/g, '')));
+      let score = 0;
+      const reasons = [];
+
+      Object.entries(stack.signals).forEach(([word, sources]) => {
+        const weight = words.has(word) ? ID_MATCH_WEIGHT : tags.has(word) ? TAG_MATCH_WEIGHT : 0;
+        if (weight === 0) return;
+        score += weight;
+        const source = sources[0];
+        reasons.push(`${source.dependency} in ${source.manifest}`);
+      });
+
+      // An instruction named after the language is relevant on its own; a language tag
+      // only adds to other matches, since most instructions mention several languages
+      stack.languages.forEach((language) => {
+        if (words.has(language)) {
+          score += LANGUAGE_ID_WEIGHT;
+        } else if ((score > 0 || languageTagsAlone) && tags.has(language)) {
+          score += LANGUAGE_TAG_WEIGHT;
+        } else {
+          return;
+        }
+        reasons.push(`${language} project`);
+      });
+
+      return { instruction, score, reasons: [...new Set(reasons)] };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.instruction.id.localeCompare(b.instruction.id))
+    .slice(0, MAX_RECOMMENDATIONS);
+
+/**
+ * Rank instructions for a merged stack. Returns up to MAX_RECOMMENDATIONS entries
+ * of { instruction, score, reasons } with a human readable reason per match.
+ * When none of the dependencies match, instructions tagged with the project's
+ * language are recommended instead, e.g. for a Gemfile the catalog knows no gems of.
+ */
+export const recommendInstructions = (instructions, stack) => {
+  const recommendations = rankInstructions(instructions, stack, { languageTagsAlone: false });
+  return recommendations.length > 0
+    ? recommendations
+    : rankInstructions(instructions, stack, { languageTagsAlone: true });
+};
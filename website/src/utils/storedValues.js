@@ -0,0 +1,51 @@
+// The shape of every value the site keeps in localStorage. readStoredJson uses these
+// rules to drop broken entries on load, and personalData.js to check imported files.
+import { isValidToolUrl } from './aiTools';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+export const isString = (value) => typeof value === 'string';
+export const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+export const isTool = (tool) =>
+  isObject(tool) && isString(tool.id) && isString(tool.name) && isValidToolUrl(String(tool.url));
+
+export const isVariant = (variant) => isObject(variant) && isString(variant.name) && isString(variant.content);
+
+export const isCollection = (collection) =>
+  isObject(collection) &&
+  isString(collection.id) &&
+  isString(collection.name) &&
+  Array.isArray(collection.items) &&
+  collection.items.every((item) => isObject(item) && isString(item.id) && isString(item.note));
+
+export const isSnapshot = (snapshot) =>
+  isObject(snapshot) && isString(snapshot.hash) && isString(snapshot.content) && isString(snapshot.usedAt);
+
+const isVariantList = (list) => Array.isArray(list) && list.every(isVariant);
+
+// Lists are checked item by item, maps value by value
+export const STORED_VALUES = {
+  favoriteInstructions: { isItem: isString },
+  bundleInstructions: { isItem: isString },
+  instructionUsageStats: { isEntry: isCount },
+  toolUsageStats: { isEntry: isCount },
+  customTools: { isItem: isTool },
+  instructionCollections: { isItem: isCollection },
+  instructionVariants: { isEntry: isVariantList },
+  instructionSnapshots: { isEntry: isSnapshot },
+  templateValues: { isEntry: isString },
+};
+
+export const isValidStoredValue = (key, value) => {
+  const { isItem, isEntry } = STORED_VALUES[key];
+  if (isItem) return Array.isArray(value) && value.every(isItem);
+  return isObject(value) && Object.values(value).every(isEntry);
+};
+
+// The value without the items or entries that break the rules; keys without rules are kept as they are
+export const dropInvalidEntries = (key, value) => {
+  if (!STORED_VALUES[key]) return value;
+  const { isItem, isEntry } = STORED_VALUES[key];
+  if (isItem) return value.filter(isItem);
+  return Object.fromEntries(Object.entries(value).filter(([, entry]) => isEntry(entry)));
+};
@@ -0,0 +1,143 @@
+// Tag taxonomy helpers. The definition lives in src/data/taxonomy.json and is
+// shared with scripts/generate_instruction_data.js, which detects tags with it;
+// the website uses it to resolve aliases and group child tags under parents.
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#-]*)/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word boundaries that also work for names such as C++, C# and .NET
+const termPattern = (term) => new RegExp(`(?<![\\w.+#])${escapeRegExp(term)}(?![\\w+#])`);
+
+// Separate prose from code, so that detection rules can tell "go through" from ```go
+const splitMarkdown = (markdown) => {
+  const prose = [];
+  const code = [];
+  const codeLanguages = new Set();
+  let inFence = false;
+
+  (markdown || '').split('\n').forEach((line) => {
+    const fence = line.match(FENCE);
+    if (fence) {
+      if (!inFence && fence[2]) codeLanguages.add(fence[2].toLowerCase());
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      code.push(line);
+      return;
+    }
+    prose.push(line.replace(/`[^`\n]+`/g, (inline) => {
+      code.push(inline.slice(1, -1));
+      return ' ';
+    }));
+  });
+
+  return { prose: prose.join('\n'), code: code.join('\n'), codeLanguages };
+};
+
+// "react-native/expo14.md" -> "-react-native-expo-"; version suffixes are dropped
+const pathKey = (parts) =>
+  `-${parts
+    .flatMap((part) => part.replace(/\.md$/, '').toLowerCase().split(/[^a-z0-9]+/))
+    .map((word) => word.replace(/\d+$/, ''))
+    .filter(Boolean)
+    .join('-')}-`;
+
+/**
+ * Build helpers for a taxonomy definition of the form
+ * { tags: { [name]: { kind?, parent?, aliases?, detect?: { terms?, codeLanguages?, code? } } } }.
+ * `kind` is "language", "framework" or "tool" and feeds the website's facets.
+ * `terms` match whole words anywhere, case-sensitively; `codeLanguages` match the
+ * language of a fenced code block; `code` matches text inside code only.
+ */
+export const createTaxonomy = (definition) => {
+  const tags = definition.tags || {};
+  const names = Object.keys(tags);
+
+  const byAlias = new Map();
+  names.forEach((name) => {
+    byAlias.set(name.toLowerCase(), name);
+    (tags[name].aliases || []).forEach((alias) => byAlias.set(alias.toLowerCase(), name));
+  });
+
+  const rules = names.map((name) => {
+    const detect = tags[name].detect || {};
+    return {
+      name,
+      terms: (detect.terms || []).map(termPattern),
+      codeLanguages: detect.codeLanguages || [],
+      code: detect.code || [],
+      // Names and aliases such as "react-native" match whole words of the path; ones
+      // with other characters, like "c++", cannot appear in a file name
+      pathWords: [name, ...(tags[name].aliases || [])]
+        .map((word) => word.toLowerCase().replace(/\s+/g, '-'))
+        .filter((word) => /^[a-z0-9-]+$/.test(word))
+        .map((word) => `-${word}-`),
+    };
+  });
+
+  // The taxonomy's name for a tag or alias; unknown tags are returned unchanged
+  const canonicalTag = (tag) => byAlias.get(String(tag).toLowerCase()) || tag;
+
+  const parentOf = (tag) => (tags[tag] && tags[tag].parent) || null;
+
+  const kindOf = (tag) => (tags[tag] && tags[tag].kind) || null;
+
+  // Parents first: Next.js -> [React, JavaScript]
+  const ancestorsOf = (tag) => {
+    const ancestors = [];
+    let parent = parentOf(tag);
+    while (parent && !ancestors.includes(parent) && parent !== tag) {
+      ancestors.push(parent);
+      parent = parentOf(parent);
+    }
+    return ancestors;
+  };
+
+  // Canonical tags plus every ancestor, without duplicates
+  const withAncestors = (tagList) => {
+    const result = new Set();
+    tagList.forEach((tag) => {
+      const name = canonicalTag(tag);
+      result.add(name);
+      ancestorsOf(name).forEach((ancestor) => result.add(ancestor));
+    });
+    return [...result];
+  };
+
+  /**
+   * Tags whose detection rules match an instruction's markdown or path parts
+   * (category folders and file name), in taxonomy order.
+   */
+  const detectTags = ({ content, pathParts = [] }) => {
+    const { prose, code, codeLanguages } = splitMarkdown(content);
+    const path = pathKey(pathParts);
+    return rules
+      .filter(
+        (rule) =>
+          rule.pathWords.some((word) => path.includes(word)) ||
+          rule.codeLanguages.some((language) => codeLanguages.has(language)) ||
+          rule.code.some((snippet) => code.includes(snippet)) ||
+          rule.terms.some((pattern) => pattern.test(prose) || pattern.test(code))
+      )
+      .map((rule) => rule.name);
+  };
+
+  /**
+   * Arrange a flat tag list into [{ tag, children }], each tag nested under its
+   * closest ancestor in the list. Order within a level follows the input.
+   */
+  const groupTags = (tagList) => {
+    const present = new Set(tagList);
+    const nodes = new Map(tagList.map((tag) => [tag, { tag, children: [] }]));
+    const roots = [];
+    tagList.forEach((tag) => {
+      const parent = ancestorsOf(tag).find((ancestor) => present.has(ancestor));
+      (parent ? nodes.get(parent).children : roots).push(nodes.get(tag));
+    });
+    return roots;
+  };
+
+  return { canonicalTag, parentOf, kindOf, ancestorsOf, withAncestors, detectTags, groupTags };
+};
@@ -0,0 +1,37 @@
+// Fill-in placeholders such as {{testRunner}}, declared in an instruction's
+// frontmatter and listed by the generator as [{ name, label, type, choices, default }].
+// Values are kept as strings, the way they end up in the text.
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const isValidValue = (variable, value) => {
+  if (typeof value !== 'string' || value.trim() === '') return false;
+  if (variable.type === 'choice') return variable.choices.includes(value);
+  if (variable.type === 'number') return Number.isFinite(Number(value));
+  return true;
+};
+
+/**
+ * The value of every variable: the user's remembered value when it still fits the
+ * variable, otherwise its default. Values are remembered by variable name, so a test
+ * runner picked once applies to every instruction that asks for one.
+ */
+export const resolveTemplateValues = (variables = [], storedValues = {}) =>
+  variables.reduce((values, variable) => {
+    const stored = Object.prototype.hasOwnProperty.call(storedValues, variable.name)
+      ? storedValues[variable.name]
+      : undefined;
+    values[variable.name] = isValidValue(variable, stored) ? stored : variable.default;
+    return values;
+  }, {});
+
+// Replace the placeholders of declared variables; anything else in braces, like a
+// Vue or Handlebars template in a code block, is left alone
+export const fillTemplate = (content, variables = [], storedValues = {}) => {
+  if (variables.length === 0) return content;
+  const values = resolveTemplateValues(variables, storedValues);
+  // Own names only, so {{constructor}} or {{toString}} in such a block stays as written
+  return content.replace(PLACEHOLDER, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  );
+};